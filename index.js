@@ -16,4 +16,10 @@ exports = module.exports = {
     Server: require("./lib/server"),
     /** for cache management, by server */
     Collection: require("./lib/collection"),
+    /** datastore adapters. See {@link Store} interface */
+    stores: require("./lib/stores"),
+    /** error classes. See {@link SSInterfaceError} */
+    errors: require("./lib/errors"),
+    /** eviction policies. See {@link EvictionPolicy} interface */
+    eviction: require("./lib/eviction"),
 };
@@ -0,0 +1,129 @@
+/**
+ * @description
+ * Archive sinks. Items evicted from a cache, or purged, are handed over
+ * to an archive sink, if one is configured, so that they are not lost
+ * for good.
+ */
+
+
+"use strict";
+
+
+// own modules
+var errors = require("./errors");
+
+
+exports = module.exports = {
+    resolve: resolve,
+};
+
+
+/**
+ * An archived item.
+ *
+ * @typedef {Object} ArchivedItem
+ * @property {Number} id - ID of the item
+ * @property {String} value - the (stringified) item
+ */
+
+
+/**
+ * Return a function archiving entries into `sink`. The sink may be:
+ *
+ * - a function: sink(items, done), invoked with the {@link ArchivedItem}s
+ * - a String: key of a sorted set, in `store`, acting as cold storage.
+ *   A Client using this key can serve the archived items
+ * - a writable stream, in object mode: each {@link ArchivedItem} is
+ *   written to it
+ *
+ * @param {Function|String|stream.Writable} [sink]
+ * @param {Store} store - store holding the cache
+ * @return {Function|null} archive(entries, callback), or `null` if no
+ *  sink is passed
+ * @throws {ConfigurationError} if the sink is invalid
+ */
+function resolve(sink, store) {
+    if (!sink) {
+        return null;
+    }
+    if (typeof sink === "function") {
+        return function archiveToFunction(entries, callback) {
+            return sink(toItems(entries), callback);
+        };
+    }
+    if (typeof sink === "string") {
+        return function archiveToSet(entries, callback) {
+            return store.add(sink, entries, callback);
+        };
+    }
+    if (typeof sink.write === "function") {
+        if (!isObjectMode(sink)) {
+            throw new errors.ConfigurationError("archive stream must be in object mode", { sink: sink });
+        }
+        return function archiveToStream(entries, callback) {
+            return writeAll(sink, toItems(entries), callback);
+        };
+    }
+    throw new errors.ConfigurationError("archive sink must be a function, key or writable stream", { sink: sink });
+}
+
+
+/**
+ * Return `true` if `stream` accepts objects i.e. is in object mode.
+ * Streams not telling are assumed to accept them.
+ *
+ * @private
+ *
+ * @param {stream.Writable} stream
+ * @return {Boolean}
+ */
+function isObjectMode(stream) {
+    if (typeof stream.writableObjectMode === "boolean") {
+        return stream.writableObjectMode;
+    }
+    var state = stream._writableState;
+    return !state || Boolean(state.objectMode);
+}
+
+
+/**
+ * Convert entries into archived items.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries
+ * @return {ArchivedItem[]}
+ */
+function toItems(entries) {
+    return entries.map(function(entry) {
+        return { id: entry.score, value: entry.value };
+    });
+}
+
+
+/**
+ * Write all `items` to `stream`. The callback is invoked once all the
+ * items are handled by the stream, or on the first error.
+ *
+ * @private
+ *
+ * @param {stream.Writable} stream
+ * @param {ArchivedItem[]} items
+ * @param {Function} callback - callback(err)
+ */
+function writeAll(stream, items, callback) {
+    var pending = items.length;
+    var done = false;
+
+    function finish(err) {
+        if (done) return;
+        if (err || --pending === 0) {
+            done = true;
+            return callback(err || null);
+        }
+    }
+
+    items.forEach(function(item) {
+        stream.write(item, finish);
+    });
+}
@@ -2,7 +2,7 @@
  * @description
  * This module defines an interface to be used by the application,
  * on behalf of its users, when trying to retrieve items
- * from the redis server DB.
+ * from the datastore.
  */
 
 
@@ -16,11 +16,43 @@ exports.Client = Client;
 
 // npm-installed modules
 var _ = require("lodash");
+var async = require("async");
 var debug = require("debug")("ss-interface:client");
 
 
 // own modules
 var defaults = require("./defaults");
+var errors = require("./errors");
+var stores = require("./stores");
+var utils = require("./utils");
+
+
+/**
+ * A page of items, as returned by {@link Client#get} when paginating.
+ *
+ * @typedef {Object} Page
+ * @property {Array} items - items, ordered from oldest to newest
+ * @property {String} nextCursor - cursor for retrieving the items newer
+ *  than those in this page
+ * @property {String} prevCursor - cursor for retrieving the items older
+ *  than those in this page
+ * @property {Boolean} hasMore - whether there are more items beyond this
+ *  page, in the direction being read
+ */
+
+
+/**
+ * Result of looking up an item by its ID, as returned by
+ * {@link Client#getOne} and {@link Client#getMany}.
+ *
+ * @typedef {Object} Lookup
+ * @property {Number} id - id of the item
+ * @property {*} value - the item. This is `undefined` if several
+ *  items share the ID; see `values` instead
+ * @property {Array} values - all the items sharing the ID, ordered
+ *  lexicographically
+ * @property {Boolean} duplicate - whether several items share the ID
+ */
 
 
 /**
@@ -29,40 +61,163 @@ var defaults = require("./defaults");
  * @constructor
  * @public
  *
- * @param {RedisClient} client
+ * @param {Store|RedisClient} client - datastore adapter. A RedisClient
+ *  is wrapped in a {@link RedisStore}
  * @param {Object} [config] - configuration values. See {@link Client#_configure}
  */
 function Client(client, config) {
     debug("constructing new client");
-    this._client = client; // redis client
+    this._store = stores.guard(stores.resolve(client)); // datastore adapter
+    this._config = null; // configuration values, as passed by the user
     this._key = null; // key to use on redis store
     this._batch_size = null; // size of a batch of items
+    this._parse = null; // function for parsing items
+    this._parseErrors = null; // policy on items that fail to parse
+    this._paginate = null; // whether to return pages, instead of arrays
+    this._bounded = null; // whether to apply batch size to forward reads
+    this._max_items = null; // hard limit on number of items in a read
+    this._withIds = null; // whether to return items with their IDs
     this._configure(config);
     return this;
 }
 
 
 /**
- * Configure the redis client. This supports multiple invocations, allowing
- * changing existing configuration. Most configuration values are optional,
- * defaulting to the existing value or the built-in default values.
+ * Validate the configuration values. See {@link Client#_configure}.
+ *
+ * @private
+ *
+ * @param {Object} config - configuration, with defaults applied
+ * @throws {ConfigurationError} if any of the values is invalid
+ */
+function validateConfig(config) {
+    utils.checkConfig(config, [
+        ["key", _.isString(config.key) && config.key !== "", "a non-empty string"],
+        ["batch_size", utils.isCount(config.batch_size) && isFinite(config.batch_size), "a positive integer"],
+        ["parse", _.isBoolean(config.parse) || _.isFunction(config.parse), "a boolean or function"],
+        ["parseErrors", _.includes(["error", "skip", "raw"], config.parseErrors), "'error', 'skip' or 'raw'"],
+        ["paginate", _.isBoolean(config.paginate), "a boolean"],
+        ["bounded", _.isBoolean(config.bounded), "a boolean"],
+        ["max_items", utils.isCount(config.max_items), "a positive integer or +Infinity"],
+        ["withIds", _.isBoolean(config.withIds), "a boolean"],
+    ]);
+}
+
+
+/**
+ * Configure the redis client. Configuration values are optional,
+ * defaulting to the built-in default values. See
+ * {@link Client#reconfigure} for changing the configuration later.
  *
  * @private
  *
  * @param {Object} [config] - configuration values
  * @param {String} [config.key] - key to use in Redis
  * @param {Number} [config.batch_size] -size of a single batch
+ * @param {Function|Boolean} [config.parse=false] - function for parsing
+ *  items, the counterpart of the Server's `stringify`. If `true`,
+ *  `JSON.parse` is used. If `false`, items are returned as strings
+ * @param {String} [config.parseErrors="error"] - what to do with items
+ *  that fail to parse: "skip" leaves them out of the results, "raw"
+ *  returns them as strings and "error" passes an error to the callback
+ * @param {Boolean} [config.paginate=false] - return pages, instead of
+ *  arrays of items, from {@link Client#get}
+ * @param {Boolean} [config.bounded=false] - apply the batch size to
+ *  forward reads (looking towards the newest items), as well
+ * @param {Number} [config.max_items=+Infinity] - hard limit on the number
+ *  of items returned in a single read
+ * @param {Boolean} [config.withIds=false] - return items as `{ id, value }`
+ *  objects, instead of the values only
+ * @throws {ConfigurationError} if any of the values is invalid. In this
+ *  case, the current configuration is left as is
  */
 Client.prototype._configure = function(config) {
     debug("configuring the client");
-    config = config || { };
-    _.defaults(config, defaults);
+    var given = _.assign({ }, config);
+    config = _.defaults({ }, given, {
+        parse: false,
+        parseErrors: "error",
+        paginate: false,
+        bounded: false,
+        max_items: +Infinity,
+        withIds: false,
+    }, defaults);
+    validateConfig(config);
+
+    this._config = given;
     this._key = config.key;
     this._batch_size = config.batch_size;
+    this._parse = config.parse === true ? JSON.parse : config.parse || null;
+    this._parseErrors = config.parseErrors;
+    this._paginate = config.paginate;
+    this._bounded = config.bounded;
+    this._max_items = config.max_items;
+    this._withIds = config.withIds;
     return this;
 };
 
 
+/**
+ * Change the configuration, at runtime. The values passed are merged
+ * into the current configuration; values left out are kept as they are.
+ * The new values apply to subsequent reads.
+ *
+ * @public
+ *
+ * @param {Object} changes - configuration values to change. See
+ *  {@link Client#_configure}
+ * @return {this}
+ * @throws {ConfigurationError} if any of the values is invalid. In this
+ *  case, the current configuration is left as is
+ */
+Client.prototype.reconfigure = function reconfigure(changes) {
+    debug("reconfiguring client [%s]", this._key);
+    return this._configure(_.assign({ }, this._config, changes));
+};
+
+
+/**
+ * Parse the items, using the configured parse function, if any. Items
+ * failing to parse are handled as per `config.parseErrors`.
+ *
+ * @private
+ *
+ * @param {String[]|Entry[]} items - values or entries from the store
+ * @param {Boolean} withIds - whether `items` are entries, to be returned
+ *  as `{ id, value }` objects
+ * @param {Function} callback - callback(err, items)
+ */
+Client.prototype._parseItems = function _parseItems(items, withIds, callback) {
+    if (withIds) {
+        items = items.map(function(entry) {
+            return { id: entry.score, value: entry.value };
+        });
+    }
+    if (!this._parse) {
+        return callback(null, items);
+    }
+
+    var parsed = [];
+    for (var i = 0; i < items.length; i++) {
+        var value = withIds ? items[i].value : items[i];
+        try {
+            value = this._parse(value);
+        } catch (parseErr) {
+            debug("could not parse item: %s", value);
+            if (this._parseErrors === "skip") {
+                continue;
+            }
+            if (this._parseErrors !== "raw") {
+                var message = "could not parse item: " + parseErr.message;
+                return callback(new errors.InvalidItemError(message, { item: value, cause: parseErr }));
+            }
+        }
+        parsed.push(withIds ? { id: items[i].id, value: value } : value);
+    }
+    return callback(null, parsed);
+};
+
+
 /**
  * Get the latest added items. This retrieves an array of ordered,
  * most-recently-added items, of size <config.batch_size>.
@@ -74,6 +229,7 @@ Client.prototype._configure = function(config) {
  * @param {Object} [options] - options for retrieving items
  * @param {String} [options.key] - key to use; overriding the cache's key
  * @param {Number} [options.batch_size] - batch size to use in this invocation
+ * @param {Boolean} [options.withIds] - retrieve entries, instead of values
  * @param {Function} callback - callback(err, items)
  */
 Client.prototype._getLatest = function(options, callback) {
@@ -83,20 +239,40 @@ Client.prototype._getLatest = function(options, callback) {
     }
     var key = options.key || this._key;
     var batch_size = options.batch_size || this._batch_size;
+    var rangeOptions = { withScores: options.withIds };
 
     debug("getting latest %d items from cache [%s]", batch_size, key);
-    return this._client.zrange(key, -batch_size, -1, callback);
+    return this._store.rangeByRank(key, -batch_size, -1, rangeOptions, callback);
 };
 
 
+/**
+ * Result of a read, as resolved by the Promise returned from
+ * {@link Client#get}, if `options.withInfo` is set.
+ *
+ * @typedef {Object} LimitedResult
+ * @property {Array} items - the items
+ * @property {Boolean} truncated - whether there were more items. Always
+ *  `false` for reads that are not limited
+ */
+
+
 /**
  * Retrieve items from cache. Using a single item index, we can look
  * forward (towards the newest items) or behind (towards the oldest items).
  * By default, all the newer items are returned, even if the result array
- * size is larger than `config.batch_size`. Looking behind is limited to
- * return an array of maximum size of `config.batch_size`.
+ * size is larger than `config.batch_size`, unless `config.bounded` is set.
+ * Forward reads are always limited to `config.max_items`. Looking behind
+ * is limited to return an array of maximum size of `config.batch_size`.
+ *
+ * Alternatively, items between two IDs can be retrieved, using
+ * `options.from` and/or `options.to`. Either bound can be made exclusive.
+ * Such range queries are limited to `config.batch_size` items, starting
+ * from the oldest items.
  *
- * @todo allow overriding the batch size
+ * If a forward read is limited, or for range queries, `info.truncated` is
+ * passed to the callback, indicating whether there were more items.
+ * Promises resolve to the items, unless `options.withInfo` is set.
  *
  * @public
  *
@@ -104,25 +280,243 @@ Client.prototype._getLatest = function(options, callback) {
  * @param {Number|null} [options.id] - id of item
  * @param {String} [options.key] - key to use; overriding the cache's key
  * @param {Boolean} [options.newer=true] - whether to return newer or older items
+ * @param {Number} [options.from=-Infinity] - lower bound of a range query
+ * @param {Number} [options.to=+Infinity] - upper bound of a range query
+ * @param {Boolean} [options.fromExclusive=false] - exclude items at `options.from`
+ * @param {Boolean} [options.toExclusive=false] - exclude items at `options.to`
  * @param {Number} [options.batch_size] - batch size to use in this invocation
- * @param {Function} callback - callback(err, items)
+ * @param {Boolean} [options.bounded] - whether to apply the batch size to
+ *  forward reads. Defaults to `config.bounded`
+ * @param {Number} [options.max_items] - hard limit on the number of items.
+ *  Defaults to `config.max_items`
+ * @param {Boolean} [options.paginate] - return a {@link Page}, instead of
+ *  an array of items. Defaults to `config.paginate`
+ * @param {String} [options.cursor] - cursor from a previously returned
+ *  {@link Page}. This implies `options.paginate`, and takes precedence
+ *  over `options.id` and `options.newer`
+ * @param {Boolean} [options.withIds] - return items as `{ id, value }`
+ *  objects. Defaults to `config.withIds`
+ * @param {Boolean} [options.withInfo=false] - resolve the Promise to
+ *  a {@link LimitedResult}, instead of the items, so that the truncated
+ *  flag is not lost. Ignored if `callback` is passed, or with pagination
+ * @param {Function} [callback] - callback(err, items|page, info)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
  */
 Client.prototype.get = function(options, callback) {
-    if (!callback) {
+    if (_.isFunction(options)) {
         callback = options;
-        options = { };
+        options = null;
     }
+    options = _.defaults({ }, options, {
+        withIds: this._withIds,
+    });
+    var self = this;
+    var invalid = validateGetOptions(options);
+    var paginate = options.cursor ? true : options.paginate;
+    if (_.isUndefined(paginate)) {
+        paginate = this._paginate;
+    }
+
+    return utils.promisify(function(done) {
+        if (invalid) {
+            return done(invalid);
+        }
+        if (paginate) {
+            return self._getPage(options, function(err, page) {
+                if (err) {
+                    return done(err);
+                }
+                return self._parseItems(page.items, options.withIds, function(parseErr, items) {
+                    if (parseErr) {
+                        return done(parseErr);
+                    }
+                    page.items = items;
+                    return done(null, page);
+                });
+            });
+        }
+        return self._get(options, function(err, items, info) {
+            if (err) {
+                return done(err);
+            }
+            return self._parseItems(items, options.withIds, function(parseErr, parsed) {
+                if (parseErr) {
+                    return done(parseErr);
+                }
+                // a Promise resolves to a single value, thus carries the info along
+                if (options.withInfo && !callback) {
+                    return done(null, { items: parsed, truncated: Boolean(info && info.truncated) });
+                }
+                return done(null, parsed, info);
+            });
+        });
+    }, callback);
+};
 
+
+/**
+ * Return an error if any of the options passed to {@link Client#get}
+ * is invalid.
+ *
+ * @private
+ *
+ * @param {Object} options
+ * @return {InvalidIdError|InvalidArgumentError|null}
+ */
+function validateGetOptions(options) {
+    if (!_.isUndefined(options.id) && options.id !== null && !utils.isId(options.id)) {
+        return new errors.InvalidIdError("invalid item id: " + options.id, { id: options.id });
+    }
+    var bounds = ["from", "to"];
+    for (var index = 0; index < bounds.length; index++) {
+        var bound = options[bounds[index]];
+        if (!_.isUndefined(bound) && !utils.isBound(bound)) {
+            return new errors.InvalidIdError("invalid options." + bounds[index] + ": " + bound, { id: bound });
+        }
+    }
+    // as in the configuration, only max_items may be +Infinity i.e. no limit
+    if (!_.isUndefined(options.batch_size) && !(utils.isCount(options.batch_size) && isFinite(options.batch_size))) {
+        return new errors.InvalidArgumentError("options.batch_size must be a positive integer");
+    }
+    if (!_.isUndefined(options.max_items) && !utils.isCount(options.max_items)) {
+        return new errors.InvalidArgumentError("options.max_items must be a positive integer or +Infinity");
+    }
+    return null;
+}
+
+
+/**
+ * Retrieve a single item by its ID. If no item is found, `null` is
+ * passed to the callback.
+ *
+ * @public
+ *
+ * @param {Number} id - id of the item
+ * @param {Object} [options] - options for fetching
+ * @param {String} [options.key] - key to use; overriding the cache's key
+ * @param {Function} [callback] - callback(err, lookup)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
+ */
+Client.prototype.getOne = function getOne(id, options, callback) {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = null;
+    }
+    var self = this;
+    return utils.promisify(function(done) {
+        if (!utils.isId(id)) {
+            return done(new errors.InvalidIdError("invalid item id: " + id, { id: id }));
+        }
+        return self._getMany([id], options || { }, function(err, lookups) {
+            if (err) {
+                return done(err);
+            }
+            return done(null, lookups[0]);
+        });
+    }, callback);
+};
+
+
+/**
+ * Retrieve several items by their IDs, in a single round trip. The
+ * results are ordered as the IDs are, with `null` for each ID at which
+ * no item is found.
+ *
+ * @public
+ *
+ * @param {Number[]} ids - ids of the items
+ * @param {Object} [options] - options for fetching
+ * @param {String} [options.key] - key to use; overriding the cache's key
+ * @param {Function} [callback] - callback(err, lookups)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
+ */
+Client.prototype.getMany = function getMany(ids, options, callback) {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = null;
+    }
+    var self = this;
+    return utils.promisify(function(done) {
+        if (!_.isArray(ids)) {
+            return done(new errors.InvalidArgumentError("ids must be an array"));
+        }
+        var invalid = _.findIndex(ids, function(id) { return !utils.isId(id); });
+        if (invalid !== -1) {
+            return done(new errors.InvalidIdError("invalid item id: " + ids[invalid], { id: ids[invalid], index: invalid }));
+        }
+        return self._getMany(ids, options || { }, done);
+    }, callback);
+};
+
+
+/**
+ * Retrieve items by their IDs. See {@link Client#getMany}.
+ *
+ * @private
+ *
+ * @param {Number[]} ids - ids of the items
+ * @param {Object} options - options for fetching
+ * @param {Function} callback - callback(err, lookups)
+ */
+Client.prototype._getMany = function _getMany(ids, options, callback) {
+    var self = this;
+    var key = options.key || this._key;
+
+    if (ids.length === 0) {
+        return callback(null, []);
+    }
+
+    debug("getting items from cache [%s] by %d ids", key, ids.length);
+    return this._store.rangeByScores(key, ids, function(err, results) {
+        if (err) {
+            return callback(err);
+        }
+        return async.mapSeries(_.range(ids.length), function(index, next) {
+            self._parseItems(results[index], false, function(parseErr, values) {
+                if (parseErr) {
+                    return next(parseErr);
+                }
+                if (!values.length) {
+                    return next(null, null);
+                }
+                return next(null, {
+                    id: ids[index],
+                    value: values.length === 1 ? values[0] : undefined,
+                    values: values,
+                    duplicate: values.length > 1,
+                });
+            });
+        }, callback);
+    });
+};
+
+
+/**
+ * Retrieve items from cache. See {@link Client#get}.
+ *
+ * @private
+ *
+ * @param {Object} options - options for fetching
+ * @param {Function} callback - callback(err, items, info)
+ */
+Client.prototype._get = function _get(options, callback) {
     var key = options.key || this._key;
     var startIndex = options.id;
     var endIndex = +Infinity;
     var batch_size = options.batch_size || this._batch_size;
+    var max_items = options.max_items || this._max_items;
+    var withScores = options.withIds;
+
+    if (!_.isUndefined(options.from) || !_.isUndefined(options.to)) {
+        return this._getRange(key, options, Math.min(batch_size, max_items), callback);
+    }
 
     // get the latest updates if no id is given
     if (_.isUndefined(startIndex) || _.isNull(startIndex)) {
         this._getLatest({
             key: key,
             batch_size: batch_size,
+            withIds: withScores,
         }, callback);
         return;
     }
@@ -131,9 +525,9 @@ Client.prototype.get = function(options, callback) {
         endIndex = startIndex;
         startIndex = -Infinity;
         var offset = endIndex - batch_size;
-        var args = [key, endIndex, startIndex, "LIMIT", 0, batch_size]
+        var limit = { offset: 0, count: batch_size, withScores: withScores };
         debug("getting items from cache [%s] {inf -> %d} LIMIT %d", key, offset, batch_size);
-        this._client.zrevrangebyscore(args, function(err, items) {
+        this._store.revRangeByScore(key, endIndex, startIndex, limit, function(err, items) {
             if (items) {
                 items = items.reverse()
             }
@@ -142,7 +536,255 @@ Client.prototype.get = function(options, callback) {
         return;
     }
 
-    debug("getting items from cache [%s] {%d -> %s}", key, startIndex, endIndex);
-    this._client.zrangebyscore(key, startIndex, endIndex, callback);
+    var bounded = _.isUndefined(options.bounded) ? this._bounded : options.bounded;
+    var count = bounded ? Math.min(batch_size, max_items) : max_items;
+
+    if (count === +Infinity) {
+        debug("getting items from cache [%s] {%d -> %s}", key, startIndex, endIndex);
+        this._store.rangeByScore(key, startIndex, endIndex, { withScores: withScores }, callback);
+        return;
+    }
+
+    debug("getting items from cache [%s] {%d -> %s} LIMIT %d", key, startIndex, endIndex, count);
+    this._getLimited(key, startIndex, endIndex, count, withScores, callback);
     return;
 };
+
+
+/**
+ * Retrieve items between `options.from` and `options.to`.
+ * See {@link Client#get}.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Object} options - options for fetching
+ * @param {Number} count - maximum number of items
+ * @param {Function} callback - callback(err, items, info)
+ */
+Client.prototype._getRange = function _getRange(key, options, count, callback) {
+    var min = _.isUndefined(options.from) ? -Infinity : options.from;
+    var max = _.isUndefined(options.to) ? +Infinity : options.to;
+    if (options.fromExclusive) min = stores.exclusive(min);
+    if (options.toExclusive) max = stores.exclusive(max);
+    debug("getting items from cache [%s] {%s -> %s} LIMIT %d", key, min, max, count);
+    return this._getLimited(key, min, max, count, options.withIds, callback);
+};
+
+
+/**
+ * Retrieve, at most, `count` items with scores between `min` and `max`,
+ * in ascending order. An extra item is requested, to find out if there
+ * are more items i.e. the results are truncated.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Number|String} min
+ * @param {Number|String} max
+ * @param {Number} count - maximum number of items
+ * @param {Boolean} withScores - retrieve entries, instead of values
+ * @param {Function} callback - callback(err, items, info)
+ */
+Client.prototype._getLimited = function _getLimited(key, min, max, count, withScores, callback) {
+    var limit = { offset: 0, count: count + 1, withScores: withScores };
+    return this._store.rangeByScore(key, min, max, limit, function(err, items) {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, items.slice(0, count), {
+            truncated: items.length > count,
+        });
+    });
+};
+
+
+/**
+ * Encode a cursor. A cursor marks a position in the set i.e. just after
+ * (if `newer`) or just before (if not `newer`) the member `position`.
+ * Both the score and value are encoded, since several members may share
+ * a score. These are ordered lexicographically by their values.
+ * A `null` value marks the position before all the members sharing
+ * the score.
+ *
+ * @private
+ *
+ * @param {Entry} position
+ * @param {Boolean} newer - direction of the cursor
+ * @return {String}
+ */
+function encodeCursor(position, newer) {
+    var json = JSON.stringify([newer ? 1 : 0, String(position.score), position.value]);
+    return Buffer.from(json).toString("base64");
+}
+
+
+/**
+ * Decode a cursor. See {@link encodeCursor}.
+ *
+ * @private
+ *
+ * @param {String} cursor
+ * @return {Object|null} `{ score, value, newer }` or `null` if invalid
+ */
+function decodeCursor(cursor) {
+    var decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), "base64").toString());
+    } catch (parseErr) {
+        return null;
+    }
+    if (!_.isArray(decoded) || decoded.length !== 3) {
+        return null;
+    }
+    var score = Number(decoded[1]);
+    var value = decoded[2];
+    if (isNaN(score) || (value !== null && !_.isString(value))) {
+        return null;
+    }
+    return { score: score, value: value, newer: decoded[0] === 1 };
+}
+
+
+/**
+ * Retrieve a page of items. See {@link Client#get}.
+ *
+ * @private
+ *
+ * @param {Object} options - options for fetching
+ * @param {Function} callback - callback(err, page)
+ */
+Client.prototype._getPage = function _getPage(options, callback) {
+    var self = this;
+    var key = options.key || this._key;
+    var max_items = options.max_items || this._max_items;
+    var batch_size = Math.min(options.batch_size || this._batch_size, max_items);
+    var id = options.id;
+    var position;
+
+    if (options.cursor) {
+        position = decodeCursor(options.cursor);
+        if (!position) {
+            return callback(new errors.InvalidArgumentError("invalid cursor: " + options.cursor, { cursor: options.cursor }));
+        }
+        debug("getting page from cache [%s] %s {%d}", key, position.newer ? "after" : "before", position.score);
+        if (position.newer) {
+            return this._getAfter(key, position, batch_size + 1, function(err, entries) {
+                if (err) return callback(err);
+                return callback(null, page(entries.slice(0, batch_size), entries.length > batch_size));
+            });
+        }
+        return this._getBefore(key, position, batch_size + 1, function(err, entries) {
+            if (err) return callback(err);
+            return callback(null, page(entries.slice(-batch_size), entries.length > batch_size));
+        });
+    }
+
+    var withScores = { withScores: true };
+    var limit = { offset: 0, count: batch_size + 1, withScores: true };
+
+    // get the latest items if no id is given
+    if (_.isUndefined(id) || _.isNull(id)) {
+        position = { score: -Infinity, value: null };
+        debug("getting latest page from cache [%s]", key);
+        return this._store.rangeByRank(key, -(batch_size + 1), -1, withScores, function(err, entries) {
+            if (err) return callback(err);
+            return callback(null, page(entries.slice(-batch_size), entries.length > batch_size));
+        });
+    }
+
+    position = { score: id, value: null };
+    if (options.newer === false) {
+        debug("getting page from cache [%s] {inf -> %d}", key, id);
+        return this._store.revRangeByScore(key, id, -Infinity, limit, function(err, entries) {
+            if (err) return callback(err);
+            return callback(null, page(entries.slice(0, batch_size).reverse(), entries.length > batch_size));
+        });
+    }
+
+    debug("getting page from cache [%s] {%d -> inf}", key, id);
+    return this._store.rangeByScore(key, id, +Infinity, limit, function(err, entries) {
+        if (err) return callback(err);
+        return callback(null, page(entries.slice(0, batch_size), entries.length > batch_size));
+    });
+
+    function page(entries, hasMore) {
+        var first = entries.length ? entries[0] : position;
+        var last = entries.length ? entries[entries.length - 1] : position;
+        debug("got page of %d items from cache [%s]", entries.length, key);
+        return {
+            items: options.withIds ? entries : _.map(entries, "value"),
+            nextCursor: encodeCursor(last, true),
+            prevCursor: encodeCursor(first, false),
+            hasMore: hasMore,
+        };
+    }
+};
+
+
+/**
+ * Retrieve, at most, `count` entries just after `position`, in ascending
+ * order. Members sharing the position's score are fetched separately, so
+ * that those ordered after its value are included. Both requests are
+ * pipelined.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Object} position - decoded cursor
+ * @param {Number} count
+ * @param {Function} callback - callback(err, entries)
+ */
+Client.prototype._getAfter = function _getAfter(key, position, count, callback) {
+    var store = this._store;
+    return async.parallel([
+        function(next) {
+            store.rangeByScore(key, position.score, position.score, { withScores: true }, next);
+        },
+        function(next) {
+            var limit = { offset: 0, count: count, withScores: true };
+            store.rangeByScore(key, stores.exclusive(position.score), +Infinity, limit, next);
+        },
+    ], function(err, results) {
+        if (err) {
+            return callback(err);
+        }
+        var ties = results[0].filter(function(entry) {
+            return position.value === null || utils.compareValues(entry.value, position.value) > 0;
+        });
+        return callback(null, ties.concat(results[1]).slice(0, count));
+    });
+};
+
+
+/**
+ * Retrieve, at most, `count` entries just before `position`, in ascending
+ * order. See {@link Client#_getAfter}.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Object} position - decoded cursor
+ * @param {Number} count
+ * @param {Function} callback - callback(err, entries)
+ */
+Client.prototype._getBefore = function _getBefore(key, position, count, callback) {
+    var store = this._store;
+    return async.parallel([
+        function(next) {
+            store.rangeByScore(key, position.score, position.score, { withScores: true }, next);
+        },
+        function(next) {
+            var limit = { offset: 0, count: count, withScores: true };
+            store.revRangeByScore(key, stores.exclusive(position.score), -Infinity, limit, next);
+        },
+    ], function(err, results) {
+        if (err) {
+            return callback(err);
+        }
+        var ties = results[0].filter(function(entry) {
+            return position.value !== null && utils.compareValues(entry.value, position.value) < 0;
+        });
+        return callback(null, results[1].reverse().concat(ties).slice(-count));
+    });
+};
@@ -13,14 +13,24 @@ exports = module.exports = Collection;
 exports.Collection = Collection;
 
 
+// built-in modules
+var crypto = require("crypto");
+
+
 // npm-installed modules
 var _ = require("lodash");
-var async = require("async");
 var debug = require("debug")("ss-interface:collection");
 
 
 // own modules
 var defaults = require("./defaults");
+var errors = require("./errors");
+var stores = require("./stores");
+var utils = require("./utils");
+
+
+// module variables
+var overflowPolicies = ["drop-oldest", "drop-newest"];
 
 
 /**
@@ -34,9 +44,30 @@ var defaults = require("./defaults");
  * @callback PopulateFunction
  * @param {String} id - id of the cache. Note that this will always be a
  *   string even if the original ID was a Number
- * @param {Cache} cache - the server cache
  * @param {Function} next - function that MUST be called to indicate completion
- *   of cache population
+ *   of cache population i.e. `next(err, items)`, unless a Promise is returned
+ * @return {Promise|undefined} a Promise resolving to the array of items, if
+ *   `next` is not to be used
+ */
+
+
+/**
+ * @callback FactoryFunction
+ * @param {Number|String} cacheId - id of the cache, as chosen by the
+ *   switch function
+ * @param {Choice} choice - choice made by the switch function
+ * @return {CacheDefinition|null} definition of the cache to create, or
+ *   `null` to ignore the message
+ */
+
+
+/**
+ * Return value from a {@link FactoryFunction}
+ * @typedef {Object} CacheDefinition
+ * @property {cache.Server} cache - server's cache client
+ * @property {PopulateFunction} populate - function called to populate cache
+ * @property {Object} [options] - options, as passed to
+ *   {@link Collection#addCache}
  */
 
 
@@ -55,37 +86,230 @@ var defaults = require("./defaults");
  * @constructor
  * @public
  * @param {Object} [configurations] - configurations for collection
- * @param {Number} [configurations.refreshInterval] - refresh interval
+ * @param {Number} [configurations.refreshInterval] - refresh interval,
+ *  for caches not given their own
+ * @param {Number} [configurations.refreshJitter=0] - maximum random
+ *  delay, in milliseconds, added to each refresh interval, for caches
+ *  not given their own. This spreads the refreshes of caches sharing
+ *  an interval over time
+ * @param {Number} [configurations.bufferSize=1000] - maximum number of
+ *  messages buffered, per cache, while refreshing the cache. `0`
+ *  disables buffering
+ * @param {String} [configurations.bufferOverflow="drop-oldest"] - what to
+ *  do with a message arriving when the buffer is full: `"drop-oldest"`
+ *  drops the oldest buffered message, to make room for it, while
+ *  `"drop-newest"` drops the message itself
+ * @param {Store|RedisClient} [configurations.lease] - datastore holding
+ *  the refresh leases. If set, only the application instance holding
+ *  the lease of a cache refreshes it, while the others skip their
+ *  refreshes. The holder renews its lease on every refresh. If it stops
+ *  doing so e.g. dies, another instance takes over, once the lease
+ *  expires
+ * @param {String} [configurations.leaseKey="ss-interface:refresh-lease"] -
+ *  prefix of the keys of the leases. Instances refreshing the same
+ *  caches must share it
+ * @param {Number} [configurations.leaseTtl] - time to live of the leases,
+ *  in whole milliseconds. Defaults to one and a half times the longest period
+ *  between two refreshes of the cache (interval plus jitter)
+ * @param {Number} [configurations.idleTimeout=0] - period, in
+ *  milliseconds, after which caches created by the factory function
+ *  (see {@link Collection#factory}), that have not received any message,
+ *  are removed. If `0`, caches are never removed
+ * @param {Function} [configurations.onError] - onError(err, message)
+ *  invoked with the messages that could not be routed to a cache, and
+ *  are thus dropped e.g. as no switch function is added, or the switch
+ *  or factory function throws. Such failures are otherwise only logged
  * @return {Collection}
+ * @throws {ConfigurationError} if any of the configurations is invalid
  */
 function Collection(configurations) {
-    this._configurations = configurations || {};
-    _.defaultsDeep(this._configurations, {
+    this._configurations = _.defaults({}, configurations, {
         refreshInterval: defaults.cache_refresh_interval,
+        refreshJitter: 0,
+        bufferSize: defaults.refresh_buffer_size,
+        bufferOverflow: "drop-oldest",
+        leaseKey: "ss-interface:refresh-lease",
+        idleTimeout: 0,
     });
+    validateConfigurations(this._configurations);
+    this._lease = resolveLease(this._configurations);
+    this._token = crypto.randomBytes(16).toString("hex"); // identifies us, as a lease holder
     this._caches = { };
     this._sources = [ ];
-    this._chooser = function() { throw new Error("no chooser function added"); };
-    this._refreshing = false;
-    this._refreshInterval = null;
+    this._chooser = function() { throw new errors.ConfigurationError("no chooser function added"); };
+    this._factory = null;
+    this._running = false; // whether the refresh intervals are running
+    this._sweepTimer = null; // timer for removing idle caches
+}
+
+
+/**
+ * Validate the configurations of a collection.
+ *
+ * @private
+ *
+ * @param {Object} configurations - configurations, with defaults applied
+ * @throws {ConfigurationError} if any of the configurations is invalid
+ */
+function validateConfigurations(configurations) {
+    var interval = configurations.refreshInterval;
+    var jitter = configurations.refreshJitter;
+    var bufferSize = configurations.bufferSize;
+    utils.checkConfig(configurations, [
+        ["refreshInterval", _.isFinite(interval) && interval > 0, "a positive number"],
+        ["refreshJitter", _.isFinite(jitter) && jitter >= 0, "a non-negative number"],
+        ["bufferSize", _.isInteger(bufferSize) && bufferSize >= 0, "a non-negative integer"],
+        ["bufferOverflow", _.includes(overflowPolicies, configurations.bufferOverflow),
+            "one of " + overflowPolicies.join(", ")],
+        ["leaseKey", _.isString(configurations.leaseKey) && configurations.leaseKey !== "", "a non-empty string"],
+        ["leaseTtl", _.isUndefined(configurations.leaseTtl) ||
+            (_.isInteger(configurations.leaseTtl) && configurations.leaseTtl > 0), "a positive integer"],
+        ["idleTimeout", _.isFinite(configurations.idleTimeout) && configurations.idleTimeout >= 0,
+            "a non-negative number"],
+        ["onError", _.isUndefined(configurations.onError) || _.isFunction(configurations.onError), "a function"],
+    ]);
 }
 
 
+/**
+ * Return the store holding the refresh leases, if configured.
+ *
+ * @private
+ *
+ * @param {Object} configurations
+ * @return {Store|null}
+ */
+function resolveLease(configurations) {
+    if (!configurations.lease) {
+        return null;
+    }
+    return stores.guard(stores.resolve(configurations.lease));
+}
+
+
+/**
+ * Change the configurations, at runtime. The values passed are merged
+ * into the current configurations. If the refresh intervals are running,
+ * they are restarted with the new values; the caches are not refreshed
+ * immediately. If `lease` or `leaseKey` changes, the refresh leases held
+ * are released first, so that other application instances do not wait
+ * for them to expire.
+ *
+ * @public
+ *
+ * @param {Object} changes - configurations to change. See
+ *  {@link Collection}
+ * @return {this}
+ * @throws {ConfigurationError} if any of the configurations is invalid.
+ *  In this case, the current configurations are left as is
+ */
+Collection.prototype.reconfigure = function reconfigure(changes) {
+    var self = this;
+    var configurations = _.assign({}, this._configurations, changes);
+    validateConfigurations(configurations);
+    if (configurations.lease !== this._configurations.lease ||
+        configurations.leaseKey !== this._configurations.leaseKey) {
+        _.forEach(this._caches, function(c, id) {
+            self._releaseLease(id);
+        });
+    }
+    this._configurations = configurations;
+    this._lease = resolveLease(configurations);
+    if (this._running) {
+        debug("restarting refresh intervals");
+        for (var cacheId in this._caches) {
+            this._schedule(cacheId);
+        }
+        this._startSweeping();
+    }
+    return this;
+};
+
+
 /**
  * Add a cache
  *
+ * If the refresh intervals are running, the cache is refreshed at once,
+ * and on its own schedule afterwards. Adding a cache with the ID of an
+ * existing one replaces the latter.
+ *
  * @public
  *
  * @param {Number} id - id of cache
  * @param {cache.Server} cache - server's cache client
  * @param {PopulateFunction} populate - function called to populate cache
+ * @param {Object} [options]
+ * @param {Number} [options.refreshInterval] - refresh interval of this
+ *  cache. Defaults to `configurations.refreshInterval`
+ * @param {Number} [options.jitter] - maximum random delay added to the
+ *  refresh interval of this cache. Defaults to
+ *  `configurations.refreshJitter`
  * @return {this} for chaining
+ * @throws {InvalidArgumentError} if any of the arguments is invalid
  */
-Collection.prototype.addCache = function(id, cache, populate) {
+Collection.prototype.addCache = function(id, cache, populate, options) {
+    if (_.isUndefined(id) || id === null) {
+        throw new errors.InvalidArgumentError("cache id is required");
+    }
+    if (!cache || !_.isFunction(cache.addOne) || !_.isFunction(cache.repopulate)) {
+        throw new errors.InvalidArgumentError("cache must be a Server instance", { id: id });
+    }
+    if (!_.isFunction(populate)) {
+        throw new errors.InvalidArgumentError("populate must be a function", { id: id });
+    }
+    options = options || { };
+    var interval = options.refreshInterval;
+    if (!_.isUndefined(interval) && !(_.isFinite(interval) && interval > 0)) {
+        throw new errors.InvalidArgumentError("options.refreshInterval must be a positive number", { id: id });
+    }
+    if (!_.isUndefined(options.jitter) && !(_.isFinite(options.jitter) && options.jitter >= 0)) {
+        throw new errors.InvalidArgumentError("options.jitter must be a non-negative number", { id: id });
+    }
+    if (this._caches[id]) {
+        clearTimeout(this._caches[id].timer);
+    }
     this._caches[id] = {
         cache: cache,
         populate: populate,
+        refreshInterval: interval,
+        jitter: options.jitter,
+        refreshing: false, // whether the cache is being refreshed
+        timer: null, // timer for the next refresh
+        buffer: [ ], // messages received while refreshing
+        created: false, // whether the cache was created by the factory function
+        removed: false, // whether the cache was removed, see Collection#removeCache
+        lastUsed: Date.now(), // when the cache last received a message
     };
+    if (this._running) {
+        this._schedule(id);
+        this._refreshCache(id);
+    }
+    return this;
+};
+
+
+/**
+ * Remove a cache. Its refreshes are stopped, and the messages buffered
+ * for it dropped. A refresh in progress does not write the new items.
+ * The items in the datastore are left as they are; use
+ * {@link Server#purge} to destroy them.
+ *
+ * @public
+ *
+ * @param {Number} id - id of the cache
+ * @return {this} for chaining
+ */
+Collection.prototype.removeCache = function removeCache(id) {
+    var c = this._caches[id];
+    if (!c) {
+        return this;
+    }
+    debug("removing cache %s", id);
+    clearTimeout(c.timer);
+    c.buffer = [ ];
+    c.removed = true; // stops a refresh in progress
+    delete this._caches[id];
+    this._releaseLease(id);
     return this;
 };
 
@@ -104,6 +328,23 @@ Collection.prototype.getCache = function getCache(id) {
 }
 
 
+/**
+ * Return `true` if the cache, with the ID `id`, is being refreshed.
+ * If `id` is left out, return `true` if any of the caches is.
+ *
+ * @public
+ *
+ * @param {Number} [id] - id of the cache
+ * @return {Boolean}
+ */
+Collection.prototype.isRefreshing = function isRefreshing(id) {
+    if (!_.isUndefined(id)) {
+        return Boolean(this._caches[id] && this._caches[id].refreshing);
+    }
+    return _.some(this._caches, "refreshing");
+};
+
+
 /**
  * Add function for deciding which cache is to be used
  *
@@ -114,13 +355,44 @@ Collection.prototype.getCache = function getCache(id) {
  *
  * @param {SwitchFunction} choose - choose function
  * @return {this} for chaining
+ * @throws {InvalidArgumentError} if `choose` is not a function
  */
 Collection.prototype.switch = function(choose) {
+    if (!_.isFunction(choose)) {
+        throw new errors.InvalidArgumentError("choose must be a function");
+    }
     this._chooser = choose;
     return this;
 };
 
 
+/**
+ * Add function for creating caches, on demand. Whenever the switch
+ * function chooses a cache that does not exist, the factory function is
+ * invoked, and the cache it defines is added, as with
+ * {@link Collection#addCache}. The message is then put into the new
+ * cache, or buffered, until the cache is populated. If the function
+ * returns `null`, the message is ignored.
+ *
+ * Caches created this way are removed, once idle for
+ * `configurations.idleTimeout` milliseconds, while the refresh
+ * intervals are running.
+ *
+ * @public
+ *
+ * @param {FactoryFunction} create - factory function
+ * @return {this} for chaining
+ * @throws {InvalidArgumentError} if `create` is not a function
+ */
+Collection.prototype.factory = function factory(create) {
+    if (!_.isFunction(create)) {
+        throw new errors.InvalidArgumentError("create must be a function");
+    }
+    this._factory = create;
+    return this;
+};
+
+
 /**
  * Add a source of data.
  *
@@ -131,123 +403,436 @@ Collection.prototype.switch = function(choose) {
  * If a cache can not be resolved, the message is ignored.
  * If an error occurs while adding an item to cache, it is ignored.
  *
+ * Messages for a cache arriving while it is being refreshed are buffered,
+ * up to `configurations.bufferSize` of them, and replayed once the
+ * refresh is done, so that they are not lost if missing from the new
+ * contents. Messages both in the new contents and replayed end up in
+ * the cache twice, unless the cache guarantees unique IDs
+ * (see `config.uniqueIds` of {@link Server}).
+ *
  * @public
  *
  * @param {EventEmitter} source - an Event Emitter
  * @return {this} for chaining
+ * @throws {InvalidArgumentError} if `source` is not an Event Emitter
  */
 Collection.prototype.addSource = function(source) {
+    if (!source || !_.isFunction(source.on)) {
+        throw new errors.InvalidArgumentError("source must be an EventEmitter");
+    }
     var self = this;
     source.on("message", function(data) {
-        // do not insert an item, if we are in a refresh process
-        if (self._refreshing) {
-            return;
-        }
-
         debug("new items from source");
         if (_.isArray(data)) {
             data.forEach(function(item) {
-                putInItem(item);
+                self._receive(item);
             });
         } else {
-            putInItem(data);
+            self._receive(data);
         }
     });
 
-    function putInItem(item) {
-        try {
-            if (!_.isPlainObject(item)) item = JSON.parse(item);
-        } catch(parseErr) {
-            // ignore the message, if we can not parse it
-            debug("could not parse message into object: %s", item);
-            return;
+    this._sources.push(source);
+    return this;
+};
+
+
+/**
+ * Handle a message from a source. The message is put into the cache
+ * chosen by the switch function, or buffered, if that cache is in
+ * a refresh process. Messages that can not be routed e.g. as the switch
+ * or factory function throws, are dropped, and passed to
+ * `configurations.onError`, if set.
+ *
+ * @private
+ *
+ * @param {Object|String} item - message
+ */
+Collection.prototype._receive = function _receive(item) {
+    try {
+        if (!_.isPlainObject(item)) item = JSON.parse(item);
+    } catch(parseErr) {
+        // ignore the message, if we can not parse it
+        debug("could not parse message into object: %s", item);
+        return;
+    }
+    var det;
+    var c;
+    try {
+        det = this._chooser(item);
+        c = det && (this._caches[det.cacheId] || this._createCache(det));
+    } catch (err) {
+        // throwing would crash the process, as we are in the event handler of a source
+        debug("could not route message: %s", err);
+        if (this._configurations.onError) {
+            this._configurations.onError(err, item);
         }
-        var det = self._chooser(item);
-        if (!det) {
+        return;
+    }
+    if (!c) {
+        return;
+    }
+    c.lastUsed = Date.now();
+    if (c.refreshing) {
+        return this._bufferChoice(c, det);
+    }
+    return putInItem(c, det);
+};
+
+
+/**
+ * Create a cache, using the factory function, if any.
+ *
+ * @private
+ *
+ * @param {Choice} det - choice made by the switch function
+ * @return {Object|undefined} the cache, as added
+ * @throws {InvalidArgumentError} if the cache defined is invalid
+ */
+Collection.prototype._createCache = function _createCache(det) {
+    if (!this._factory) {
+        return;
+    }
+    var definition = this._factory(det.cacheId, det);
+    if (!definition) {
+        return;
+    }
+    debug("creating cache %s", det.cacheId);
+    this.addCache(det.cacheId, definition.cache, definition.populate, definition.options);
+    var c = this._caches[det.cacheId];
+    c.created = true;
+    return c;
+};
+
+
+/**
+ * Buffer a message until the refresh process of its cache is done. If
+ * the buffer is full, a message is dropped, as per
+ * `configurations.bufferOverflow`.
+ *
+ * @private
+ *
+ * @param {Object} c - the cache, as added
+ * @param {Choice} det - choice made by the switch function
+ */
+Collection.prototype._bufferChoice = function _bufferChoice(c, det) {
+    var config = this._configurations;
+    if (c.buffer.length >= config.bufferSize) {
+        if (config.bufferOverflow === "drop-newest" || config.bufferSize === 0) {
+            debug("refresh buffer of cache %s is full: dropping message", det.cacheId);
             return;
         }
-        var c = self._caches[det.cacheId];
-        if (c) {
-            c.cache.addOne(det.id, det.data);
-        }
+        debug("refresh buffer of cache %s is full: dropping oldest message", det.cacheId);
+        c.buffer.shift();
     }
-
-    this._sources.push(source);
-    return this;
+    c.buffer.push(det);
 };
 
 
 /**
- * Start the refresh interval
+ * Replay the messages buffered during the refresh process of a cache.
+ *
+ * @private
+ *
+ * @param {Object} c - the cache, as added
+ */
+function replayBuffer(c) {
+    var buffer = c.buffer;
+    c.buffer = [ ];
+    if (buffer.length) {
+        debug("replaying %d messages buffered during refresh", buffer.length);
+    }
+    buffer.forEach(function(det) {
+        putInItem(c, det);
+    });
+}
+
+
+/**
+ * Put a message into its cache.
+ *
+ * @private
+ *
+ * @param {Object} c - the cache, as added
+ * @param {Choice} det - choice made by the switch function
+ */
+function putInItem(c, det) {
+    c.cache.addOne(det.id, det.data, function(err) {
+        if (err) {
+            debug("error occurred while adding item to cache %s: %s", det.cacheId, err);
+        }
+    });
+}
+
+
+/**
+ * Start the refresh intervals. Each cache is refreshed on its own
+ * schedule, as per its refresh interval and jitter. A cache is not
+ * refreshed again while it is still being refreshed; the other caches
+ * are not affected by it.
  *
  * @param {Object} [options]
  * @param {Number} [options.invokeImmediately=true] Invoke immediately
  * @return {this}
  */
 Collection.prototype.startRefreshInterval = function(options) {
-    debug("starting refresh interval");
+    debug("starting refresh intervals");
     var opts = _.defaults({}, options, {
         invokeImmediately: true,
     });
+
+    this._running = true;
+    for (var cacheId in this._caches) {
+        // scheduling first, as the cache may be removed while refreshing
+        this._schedule(cacheId);
+        if (opts.invokeImmediately) {
+            this._refreshCache(cacheId);
+        }
+    }
+    this._startSweeping();
+    return this;
+};
+
+
+/**
+ * Start removing idle caches periodically, if `configurations.idleTimeout`
+ * is set, replacing the timer running, if any.
+ *
+ * @private
+ */
+Collection.prototype._startSweeping = function _startSweeping() {
     var self = this;
-    var funcs = {};
-
-    for (var cacheId in self._caches) {
-        funcs[cacheId] = wrapPopulateFunc(cacheId);
-    }
-
-    if (opts.invokeImmediately) {
-        refresh();
-    }
-    self._refreshInterval = setInterval(refresh, self._configurations.refreshInterval);
-
-    function wrapPopulateFunc(id) {
-        return function(done) {
-            var c = self._caches[id];
-            return c.populate(id, function(populateErr, items) {
-                if (populateErr) {
-                    debug("error occurred while populating cache with id %s", cacheId);
-                    return done(populateErr);
-                }
-                // if we do not receive an array, hit next with an error
-                if (!_.isArray(items)) {
-                    var msg = "Expected an array from the populate function. Instead got a " + typeof items + ".";
-                    return done(new Error(msg));
-                }
-                // purge cache, then add items
-                return async.series([
-                    c.cache.purge.bind(c.cache),
-                    function(next) { c.cache.add(items, next); },
-                ], done);
-            });
-        };
+    var idleTimeout = this._configurations.idleTimeout;
+    clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+    if (idleTimeout > 0) {
+        this._sweepTimer = setInterval(function() {
+            self._sweep();
+        }, Math.ceil(idleTimeout / 2));
     }
+};
 
-    function refresh() {
-        if (self._refreshing) {
-            return null;
+
+/**
+ * Remove the caches, created by the factory function, that have been idle
+ * for `configurations.idleTimeout` milliseconds. Caches being refreshed
+ * are left alone.
+ *
+ * @private
+ */
+Collection.prototype._sweep = function _sweep() {
+    var threshold = Date.now() - this._configurations.idleTimeout;
+    for (var cacheId in this._caches) {
+        var c = this._caches[cacheId];
+        if (c.created && !c.refreshing && c.lastUsed <= threshold) {
+            debug("cache %s is idle", cacheId);
+            this.removeCache(cacheId);
         }
+    }
+};
+
 
-        self._refreshing = true;
-        debug("## CACHE_REFRESH at %s", Date.now());
-        return async.parallel(funcs, function(err) {
+/**
+ * Schedule the next refresh of a cache, replacing the one scheduled,
+ * if any.
+ *
+ * @private
+ *
+ * @param {String} id - id of the cache
+ */
+Collection.prototype._schedule = function _schedule(id) {
+    var self = this;
+    var c = this._caches[id];
+    var timing = this._timing(c);
+    var delay = timing.interval + Math.floor(Math.random() * timing.jitter);
+
+    clearTimeout(c.timer);
+    c.timer = setTimeout(function() {
+        self._schedule(id);
+        self._refreshCache(id);
+    }, delay);
+};
+
+
+/**
+ * Return the refresh interval and jitter of a cache.
+ *
+ * @private
+ *
+ * @param {Object} c - the cache, as added
+ * @return {Object} timing - `{ interval, jitter }`
+ */
+Collection.prototype._timing = function _timing(c) {
+    return {
+        interval: c.refreshInterval || this._configurations.refreshInterval,
+        jitter: _.isUndefined(c.jitter) ? this._configurations.refreshJitter : c.jitter,
+    };
+};
+
+
+/**
+ * Refresh a cache, unless it is already being refreshed, or, if leases
+ * are used, another application instance holds its lease. Messages
+ * buffered in the meantime are replayed, afterwards.
+ *
+ * @private
+ *
+ * @param {String} id - id of the cache
+ */
+Collection.prototype._refreshCache = function _refreshCache(id) {
+    var c = this._caches[id];
+    if (c.refreshing) {
+        return null;
+    }
+
+    c.refreshing = true;
+    return this._acquireLease(id, c, function(err, acquired) {
+        if (err || !acquired) {
             if (err) {
-                debug("error occurred during cache refresh: %s", err);
+                debug("error occurred while acquiring refresh lease of cache %s: %s", id, err);
+            } else {
+                debug("refresh lease of cache %s is held by another instance", id);
+            }
+            c.refreshing = false;
+            return replayBuffer(c);
+        }
+        debug("## CACHE_REFRESH of %s at %s", id, Date.now());
+        return populate(id, c, function(populateErr) {
+            if (populateErr) {
+                debug("error occurred during refresh of cache %s: %s", id, populateErr);
             }
-            self._refreshing = false;
+            c.refreshing = false;
+            if (c.removed) {
+                return;
+            }
+            replayBuffer(c);
         });
+    });
+};
+
+
+/**
+ * Acquire, or renew, the refresh lease of a cache. If leases are not
+ * used, the lease is always acquired.
+ *
+ * @private
+ *
+ * @param {String} id - id of the cache
+ * @param {Object} c - the cache, as added
+ * @param {Function} callback - callback(err, acquired)
+ */
+Collection.prototype._acquireLease = function _acquireLease(id, c, callback) {
+    if (!this._lease) {
+        return callback(null, true);
     }
+    var timing = this._timing(c);
+    var ttl = this._configurations.leaseTtl || Math.ceil(1.5 * (timing.interval + timing.jitter));
+    return this._lease.acquireLease(this._leaseKey(id), this._token, ttl, callback);
+};
 
-    return self;
+
+/**
+ * Return the key of the refresh lease of a cache.
+ *
+ * @private
+ *
+ * @param {String} id - id of the cache
+ * @return {String}
+ */
+Collection.prototype._leaseKey = function _leaseKey(id) {
+    return this._configurations.leaseKey + ":" + id;
 };
 
 
 /**
- * Stop the refresh interval
+ * Populate a cache, using its populate function.
+ *
+ * @private
+ *
+ * @param {String} id - id of the cache
+ * @param {Object} c - the cache, as added
+ * @param {Function} done - done(err)
+ */
+function populate(id, c, done) {
+    var called = false;
+    var ret;
+
+    try {
+        ret = c.populate(id, next);
+    } catch (err) {
+        return next(err);
+    }
+
+    // the populate function may return a Promise, instead of using next()
+    if (ret && _.isFunction(ret.then)) {
+        ret.then(function(items) {
+            return next(null, items);
+        }, function(err) {
+            return next(err || new Error("populate function rejected"));
+        });
+    }
+
+    function next(populateErr, items) {
+        if (called) {
+            return null;
+        }
+        called = true;
+        if (populateErr) {
+            debug("error occurred while populating cache with id %s", id);
+            return done(populateErr);
+        }
+        // if we do not receive an array, hit next with an error
+        if (!_.isArray(items)) {
+            var msg = "Expected an array from the populate function. Instead got a " + typeof items + ".";
+            return done(new Error(msg));
+        }
+        // the cache was removed in the meantime
+        if (c.removed) {
+            debug("cache %s removed during refresh: discarding items", id);
+            return done();
+        }
+        // swap in the new items, so that readers never see an empty cache
+        return c.cache.repopulate(items, function(err) {
+            return done(err);
+        });
+    }
+}
+
+
+/**
+ * Stop the refresh intervals. The refresh leases held, if any, are
+ * released, so that other application instances take over at once.
  *
  * @return {this}
  */
 Collection.prototype.stopRefreshInterval = function() {
-    clearInterval(this._refreshInterval);
+    var self = this;
+    this._running = false;
+    clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+    _.forEach(this._caches, function(c, id) {
+        clearTimeout(c.timer);
+        c.timer = null;
+        self._releaseLease(id);
+    });
     return this;
 };
+
+
+/**
+ * Release the refresh lease of a cache, if leases are used.
+ *
+ * @private
+ *
+ * @param {String} id - id of the cache
+ */
+Collection.prototype._releaseLease = function _releaseLease(id) {
+    if (!this._lease) {
+        return;
+    }
+    this._lease.releaseLease(this._leaseKey(id), this._token, function(err) {
+        if (err) {
+            debug("error occurred while releasing refresh lease of cache %s: %s", id, err);
+        }
+    });
+};
@@ -0,0 +1,143 @@
+/**
+ * @description
+ * Errors raised by the interfaces. Each has a `code` that can be used to
+ * branch on the type of failure, without relying on the messages.
+ */
+
+
+"use strict";
+
+
+// built-in modules
+var util = require("util");
+
+
+exports = module.exports = {
+    SSInterfaceError: SSInterfaceError,
+    InvalidIdError: InvalidIdError,
+    InvalidItemError: InvalidItemError,
+    InvalidArgumentError: InvalidArgumentError,
+    ConfigurationError: ConfigurationError,
+    ConflictError: ConflictError,
+    StoreError: StoreError,
+};
+
+
+/**
+ * Base class for all errors raised by the interfaces.
+ *
+ * @constructor
+ * @public
+ * @extends Error
+ *
+ * @param {String} message
+ * @param {Object} [props] - additional properties, attached to the error
+ */
+function SSInterfaceError(message, props) {
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+    this.name = this.constructor.name;
+    this.message = message;
+    for (var prop in props) {
+        this[prop] = props[prop];
+    }
+}
+util.inherits(SSInterfaceError, Error);
+SSInterfaceError.prototype.code = "ERR_SS_INTERFACE";
+
+
+/**
+ * Define a subclass of {@link SSInterfaceError}.
+ *
+ * @private
+ *
+ * @param {Function} constructor
+ * @param {String} code
+ */
+function define(constructor, code) {
+    util.inherits(constructor, SSInterfaceError);
+    constructor.prototype.code = code;
+}
+
+
+/**
+ * An item ID is not a number. The ID is attached as `err.id`.
+ *
+ * @constructor
+ * @public
+ * @extends SSInterfaceError
+ */
+function InvalidIdError(message, props) {
+    SSInterfaceError.call(this, message, props);
+}
+define(InvalidIdError, "ERR_INVALID_ID");
+
+
+/**
+ * An item is missing, or is not an object when it has to be. The item
+ * is attached as `err.item`.
+ *
+ * @constructor
+ * @public
+ * @extends SSInterfaceError
+ */
+function InvalidItemError(message, props) {
+    SSInterfaceError.call(this, message, props);
+}
+define(InvalidItemError, "ERR_INVALID_ITEM");
+
+
+/**
+ * An argument, or option, passed to a method is invalid.
+ *
+ * @constructor
+ * @public
+ * @extends SSInterfaceError
+ */
+function InvalidArgumentError(message, props) {
+    SSInterfaceError.call(this, message, props);
+}
+define(InvalidArgumentError, "ERR_INVALID_ARGUMENT");
+
+
+/**
+ * An instance is configured incorrectly, or is missing configuration
+ * e.g. a Collection without a switch function.
+ *
+ * @constructor
+ * @public
+ * @extends SSInterfaceError
+ */
+function ConfigurationError(message, props) {
+    SSInterfaceError.call(this, message, props);
+}
+define(ConfigurationError, "ERR_CONFIGURATION");
+
+
+/**
+ * An operation could not be applied, due to the state of the cache e.g.
+ * an item being modified concurrently.
+ *
+ * @constructor
+ * @public
+ * @extends SSInterfaceError
+ */
+function ConflictError(message, props) {
+    SSInterfaceError.call(this, message, props);
+}
+define(ConflictError, "ERR_CONFLICT");
+
+
+/**
+ * The datastore failed. The original error is attached as `err.cause`.
+ *
+ * @constructor
+ * @public
+ * @extends SSInterfaceError
+ */
+function StoreError(message, props) {
+    SSInterfaceError.call(this, message, props);
+}
+define(StoreError, "ERR_STORE");
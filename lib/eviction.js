@@ -0,0 +1,241 @@
+/**
+ * @description
+ * Eviction policies. These decide which items are removed from a cache,
+ * whenever the Server reduces it. Several policies may be combined; they
+ * are applied one after the other. Custom policies need only implement
+ * the {@link EvictionPolicy} interface below.
+ */
+
+
+"use strict";
+
+
+// own modules
+var errors = require("./errors");
+var stores = require("./stores");
+
+
+exports = module.exports = {
+    CountPolicy: CountPolicy,
+    MaxAgePolicy: MaxAgePolicy,
+    MaxBytesPolicy: MaxBytesPolicy,
+    fromConfig: fromConfig,
+    isPolicy: isPolicy,
+};
+
+
+/**
+ * Interface to be implemented by eviction policies.
+ *
+ * @interface EvictionPolicy
+ */
+
+
+/**
+ * Remove items from the set at `key`, as required by the policy. The
+ * callback is passed the sizes of the set before and after evicting
+ * items, or `null` if the policy did not run e.g. was debounced.
+ * If `options.withRemoved` is set, the items removed should be passed
+ * as well, so that they can be archived.
+ *
+ * @function
+ * @name EvictionPolicy#evict
+ * @param {Store} store
+ * @param {String} key
+ * @param {Object} options
+ * @param {Boolean} [options.withRemoved=false] - return the items removed
+ * @param {Function} callback - callback(err, trimResult)
+ */
+
+
+/**
+ * Policy capping the number of items. Whenever the cache has `maxSize`
+ * items or more, it is reduced to `minSize` items, by removing the items
+ * with the lowest IDs. The size is checked and the cache trimmed
+ * atomically, in the datastore.
+ *
+ * @constructor
+ * @public
+ * @implements {EvictionPolicy}
+ *
+ * @param {Object} options
+ * @param {Number} options.maxSize - maximum number of items
+ * @param {Number} options.minSize - number of items to reduce to
+ * @param {Number} [options.debounce=0] - period, in milliseconds, after
+ *  reducing the cache, during which it is not reduced again by this
+ *  policy, across all application instances. If `0`, reductions are
+ *  not debounced
+ */
+function CountPolicy(options) {
+    this._maxSize = options.maxSize;
+    this._minSize = options.minSize;
+    this._debounce = options.debounce || 0;
+}
+
+
+CountPolicy.prototype.evict = function evict(store, key, options, callback) {
+    var trimOptions = trimmingOptions(options, key + ":reduce-lock", this._debounce);
+    return store.trim(key, this._maxSize, this._minSize, trimOptions, callback);
+};
+
+
+/**
+ * Policy capping the age of items. Items older than `maxAge` milliseconds
+ * are removed. Since the cache only knows of the items' IDs, `timeToId`
+ * is used to convert a timestamp into the ID of an item created at
+ * that time.
+ *
+ * @constructor
+ * @public
+ * @implements {EvictionPolicy}
+ *
+ * @param {Object} options
+ * @param {Number} options.maxAge - maximum age of items, in milliseconds
+ * @param {Function} [options.timeToId] - timeToId(timestamp) returning
+ *  the corresponding ID. By default, IDs are assumed to be timestamps,
+ *  in milliseconds
+ * @param {Number} [options.debounce=0] - period, in milliseconds, after
+ *  running, during which this policy does not run again. Unlike with
+ *  {@link CountPolicy}, this applies to this instance of the policy only,
+ *  as it holds no lock in the datastore
+ */
+function MaxAgePolicy(options) {
+    this._maxAge = options.maxAge;
+    this._timeToId = options.timeToId || function(timestamp) { return timestamp; };
+    this._debounce = options.debounce || 0;
+    this._lastRun = 0; // when the policy last ran
+}
+
+
+MaxAgePolicy.prototype.evict = function evict(store, key, options, callback) {
+    var now = Date.now();
+    if (this._debounce > 0 && now - this._lastRun < this._debounce) {
+        return callback(null, null);
+    }
+    this._lastRun = now;
+    var threshold = stores.exclusive(this._timeToId(Date.now() - this._maxAge));
+    return store.count(key, function(countErr, size) {
+        if (countErr) {
+            return callback(countErr);
+        }
+        if (options.withRemoved) {
+            return store.popRangeByScore(key, -Infinity, threshold, function(err, entries) {
+                if (err) {
+                    return callback(err);
+                }
+                return callback(null, { before: size, after: size - entries.length, removed: entries });
+            });
+        }
+        return store.removeRangeByScore(key, -Infinity, threshold, function(err, removed) {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, { before: size, after: size - removed });
+        });
+    });
+};
+
+
+/**
+ * Policy capping the approximate memory used by the items. Whenever
+ * the total length of the items is `maxBytes` or more, items with the
+ * lowest IDs are removed until the total length is `minBytes` or less.
+ * Only the lengths of the (stringified) items count; the overhead of
+ * the datastore is not accounted for. Every run of this policy reads
+ * the whole cache, in the datastore, blocking it meanwhile, thus you
+ * should debounce it. See {@link Server#_configure}.
+ *
+ * @constructor
+ * @public
+ * @implements {EvictionPolicy}
+ *
+ * @param {Object} options
+ * @param {Number} options.maxBytes - maximum total length, in bytes
+ * @param {Number} [options.minBytes=options.maxBytes] - total length to
+ *  reduce to
+ * @param {Number} [options.debounce=0] - see {@link CountPolicy}
+ */
+function MaxBytesPolicy(options) {
+    this._maxBytes = options.maxBytes;
+    this._minBytes = options.minBytes === undefined ? options.maxBytes : options.minBytes;
+    this._debounce = options.debounce || 0;
+}
+
+
+MaxBytesPolicy.prototype.evict = function evict(store, key, options, callback) {
+    var trimOptions = trimmingOptions(options, key + ":reduce-bytes-lock", this._debounce);
+    return store.trimBytes(key, this._maxBytes, this._minBytes, trimOptions, callback);
+};
+
+
+/**
+ * Return the options for trimming a set. See {@link Store#trim}.
+ *
+ * @private
+ *
+ * @param {Object} options - options passed to the policy
+ * @param {String} lockKey - key for the debounce lock
+ * @param {Number} ttl - debounce period, in milliseconds
+ * @return {Object} options
+ */
+function trimmingOptions(options, lockKey, ttl) {
+    var trimOptions = { withRemoved: Boolean(options.withRemoved) };
+    if (ttl > 0) {
+        trimOptions.debounce = { key: lockKey, ttl: ttl };
+    }
+    return trimOptions;
+}
+
+
+/**
+ * Return `true` if `obj` implements the {@link EvictionPolicy} interface.
+ *
+ * @param {*} obj
+ * @return {Boolean}
+ */
+function isPolicy(obj) {
+    return Boolean(obj) && typeof obj.evict === "function";
+}
+
+
+/**
+ * Build the eviction policies from a Server's configuration. See
+ * {@link Server#_configure}.
+ *
+ * @param {Object} config
+ * @return {EvictionPolicy[]}
+ * @throws {ConfigurationError} if a custom policy is invalid
+ */
+function fromConfig(config) {
+    var policies = [];
+    if (config.max_size !== +Infinity) {
+        policies.push(new CountPolicy({
+            maxSize: config.max_size,
+            minSize: config.min_size,
+            debounce: config.reduce_debounce,
+        }));
+    }
+    if (config.max_age) {
+        policies.push(new MaxAgePolicy({
+            maxAge: config.max_age,
+            timeToId: config.timeToId,
+            debounce: config.reduce_debounce,
+        }));
+    }
+    if (config.max_bytes) {
+        policies.push(new MaxBytesPolicy({
+            maxBytes: config.max_bytes,
+            minBytes: config.min_bytes,
+            debounce: config.reduce_debounce,
+        }));
+    }
+    if (config.eviction) {
+        config.eviction.forEach(function(policy) {
+            if (!isPolicy(policy)) {
+                throw new errors.ConfigurationError("eviction policy must implement evict()", { policy: policy });
+            }
+            policies.push(policy);
+        });
+    }
+    return policies;
+}
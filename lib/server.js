@@ -1,7 +1,7 @@
 /**
  * @description
  * This module defines an interface to be used by the server, on its own
- * behalf, to put/delete items from redis server DB.
+ * behalf, to put/delete items from the datastore.
  */
 
 
@@ -13,36 +13,253 @@ exports = module.exports = Server;
 exports.Server = Server;
 
 
+// built-in modules
+var crypto = require("crypto");
+var EventEmitter = require("events").EventEmitter;
+var util = require("util");
+
+
 // npm-installed modules
 var _ = require("lodash");
+var async = require("async");
 var debug = require("debug")("ss-interface:server");
 var stringify = require("json-stable-stringify");
 
 
 // own modules
+var archive = require("./archive");
 var defaults = require("./defaults");
+var errors = require("./errors");
+var eviction = require("./eviction");
+var stores = require("./stores");
+var utils = require("./utils");
+
+
+// module variables
+var maxUpdateAttempts = 5;
+// default of config.reduce_debounce, if config.max_bytes is set, in
+// milliseconds. See MaxBytesPolicy.
+var bytesReduceDebounce = 1000;
+// time to live of the temporary set written by Server#repopulate, in
+// milliseconds. It is renewed with every chunk written.
+var repopulateTtl = 60 * 1000;
+// event name -> name of the property holding the count of items
+var countProperties = {
+    add: "added",
+    remove: "removed",
+};
 
 
 /**
- * Create a new instance of the server interface.
+ * Create a new instance of the server interface. The instance is an
+ * EventEmitter, emitting the following events:
+ *
+ * - `add` ({ ids, added }): after items are written to the cache. `added`
+ *   is the number of new members in the datastore
+ * - `remove` ({ ids, removed }): after items are removed from the cache.
+ *   For {@link Server#removeRange}, `range` ({ from, to }) is passed,
+ *   instead of `ids`
+ * - `update` ({ ids }): after an item is updated in place
+ * - `reduce` ({ before, after }): after the cache is reduced in size
+ * - `purge` ({ key }): after the cache is purged
+ * - `repopulate` ({ key, added }): after the contents of the cache are
+ *   replaced, using {@link Server#repopulate}
+ * - `error` (err): on failures that are not otherwise reported to the
+ *   user e.g. when reducing the cache, and on failures of calls made
+ *   without a callback. The latter also reject the Promise returned.
+ *   It is only emitted if there are listeners for it, so that it does
+ *   not crash your process
  *
  * @constructor
  * @public
+ * @extends EventEmitter
  *
- * @param {RedisClient} client
+ * @param {Store|RedisClient} client - datastore adapter. A RedisClient
+ *  is wrapped in a {@link RedisStore}
  * @param {Object} [config] - configuration values. See {@link Server#_configure}
  */
 function Server(client, config) {
     debug("constructing new server client");
-    this._client = client;
-    this._minsize = null;
-    this._maxsize = null;
+    EventEmitter.call(this);
+    this._store = stores.guard(stores.resolve(client));
+    this._config = null;
     this._key = null;
     this._stringify = null;
+    this._parse = null;
+    this._uniqueIds = null;
+    this._batchSize = null;
+    this._chunkSize = null;
+    this._eviction = null;
+    this._archive = null;
     this._reducing = false;
     this._configure(config);
     return this;
 }
+util.inherits(Server, EventEmitter);
+
+
+/**
+ * Return an error if `id` is not a valid item ID.
+ *
+ * @private
+ *
+ * @param {*} id
+ * @param {Object} [props] - properties to attach to the error
+ * @return {InvalidIdError|null}
+ */
+function validateId(id, props) {
+    if (utils.isId(id)) {
+        return null;
+    }
+    return new errors.InvalidIdError("invalid item id: " + id, _.assign({ id: id }, props));
+}
+
+
+/**
+ * Return an error if `ids` is not an array of valid item IDs.
+ *
+ * @private
+ *
+ * @param {*} ids
+ * @return {InvalidArgumentError|InvalidIdError|null}
+ */
+function validateIds(ids) {
+    if (!_.isArray(ids)) {
+        return new errors.InvalidArgumentError("ids must be an array");
+    }
+    for (var index = 0; index < ids.length; index++) {
+        var err = validateId(ids[index], { index: index });
+        if (err) return err;
+    }
+    return null;
+}
+
+
+/**
+ * Return an error if `item` is missing.
+ *
+ * @private
+ *
+ * @param {*} item
+ * @param {Object} [props] - properties to attach to the error
+ * @return {InvalidItemError|null}
+ */
+function validateItem(item, props) {
+    if (item !== undefined && item !== null) {
+        return null;
+    }
+    return new errors.InvalidItemError("missing item", _.assign({ item: item }, props));
+}
+
+
+/**
+ * Return an error if `items` is not an array of objects, each with
+ * a valid ID.
+ *
+ * @private
+ *
+ * @param {*} items
+ * @return {InvalidArgumentError|InvalidItemError|InvalidIdError|null}
+ */
+function validateItems(items) {
+    if (!_.isArray(items)) {
+        return new errors.InvalidArgumentError("items must be an array");
+    }
+    for (var index = 0; index < items.length; index++) {
+        var item = items[index];
+        if (!_.isObject(item)) {
+            return new errors.InvalidItemError("item must be an object", { item: item, index: index });
+        }
+        var err = validateId(item.id, { item: item, index: index });
+        if (err) return err;
+    }
+    return null;
+}
+
+
+/**
+ * Return an error if any of the options common to several methods
+ * is invalid.
+ *
+ * @private
+ *
+ * @param {Object} options
+ * @return {InvalidArgumentError|null}
+ */
+function validateOptions(options) {
+    var counts = ["batch_size", "chunk_size"];
+    for (var index = 0; index < counts.length; index++) {
+        var value = options[counts[index]];
+        if (value !== undefined && !(utils.isCount(value) && isFinite(value))) {
+            return new errors.InvalidArgumentError("options." + counts[index] + " must be a positive integer");
+        }
+    }
+    if (options.onProgress !== undefined && !_.isFunction(options.onProgress)) {
+        return new errors.InvalidArgumentError("options.onProgress must be a function");
+    }
+    return null;
+}
+
+
+/**
+ * Validate the configuration values. See {@link Server#_configure}.
+ *
+ * @private
+ *
+ * @param {Object} config - configuration, with defaults applied
+ * @throws {ConfigurationError} if any of the values is invalid
+ */
+function validateConfig(config) {
+    function optional(name, isValid) {
+        return _.isUndefined(config[name]) || isValid(config[name]);
+    }
+    function isNonNegative(value) {
+        return _.isNumber(value) && value >= 0 && isFinite(value);
+    }
+    function isPositive(value) {
+        return _.isNumber(value) && value > 0 && isFinite(value);
+    }
+
+    utils.checkConfig(config, [
+        ["key", _.isString(config.key) && config.key !== "", "a non-empty string"],
+        ["max_size", utils.isCount(config.max_size), "a positive integer or +Infinity"],
+        ["min_size", _.isInteger(config.min_size) && config.min_size >= 0, "a non-negative integer"],
+        ["min_size", config.min_size <= config.max_size, "less than or equal to config.max_size"],
+        ["batch_size", utils.isCount(config.batch_size) && isFinite(config.batch_size), "a positive integer"],
+        ["chunk_size", utils.isCount(config.chunk_size) && isFinite(config.chunk_size), "a positive integer"],
+        ["stringify", _.isFunction(config.stringify), "a function"],
+        ["parse", _.isFunction(config.parse), "a function"],
+        ["uniqueIds", _.isBoolean(config.uniqueIds), "a boolean"],
+        ["reduce_debounce", isNonNegative(config.reduce_debounce), "a non-negative number"],
+        ["max_age", optional("max_age", isPositive), "a positive number"],
+        ["timeToId", optional("timeToId", _.isFunction), "a function"],
+        ["max_bytes", optional("max_bytes", isPositive), "a positive number"],
+        ["min_bytes", optional("min_bytes", isNonNegative), "a non-negative number"],
+        ["min_bytes", optional("min_bytes", function(minBytes) {
+            return !config.max_bytes || minBytes <= config.max_bytes;
+        }), "less than or equal to config.max_bytes"],
+        ["eviction", optional("eviction", _.isArray), "an array"],
+    ]);
+}
+
+
+/**
+ * Return the names of the optional {@link Store} methods needed by the
+ * features configured.
+ *
+ * @private
+ *
+ * @param {Object} config - configuration, with defaults applied
+ * @return {String[]}
+ */
+function neededMethods(config) {
+    var methods = [];
+    if (config.max_size !== +Infinity) methods.push("trim");
+    if (config.max_bytes) methods.push("trimBytes");
+    if (config.archive) methods.push("popRangeByScore");
+    if (config.uniqueIds) methods.push("replaceByScore");
+    return methods;
+}
 
 
 /**
@@ -55,29 +272,103 @@ function Server(client, config) {
  * @param {Number} [config.min_size] - minimum size of a filled cache
  * @param {Number} [config.max_size] - maximum size of a filled cache. If
  *  '+Infinity' is passed, the cache can grow without limit
+ * @param {Number} [config.batch_size] - number of items to scan at a time,
+ *  in {@link Server#removeWhere}
+ * @param {Number} [config.chunk_size=1000] - maximum number of items
+ *  written in a single command, in {@link Server#add}
  * @param {Function} [config.stringify] - function for stringifying objects
+ * @param {Function} [config.parse=JSON.parse] - function for parsing items
+ *  back into objects, the counterpart of `config.stringify`. It is used
+ *  by {@link Server#update}
  * @param {Boolean} [config.uniqueIds] - guarantee unique item IDs.
- *  WARNING: This works by firing a 'delete' request before adding an item,
- *  thus more requests are processed by Redis. Also, in case of `.add()`,
- *  the smallest and largest item IDs are used as 'min' and 'max',
- *  respectively, when removing from the set.
+ *  WARNING: This works by removing the old items while adding the new
+ *  ones, atomically, using a script in Redis. Only the IDs being added
+ *  are cleared; items at other IDs are left untouched.
+ * @param {Number} [config.reduce_debounce=0] - period, in milliseconds,
+ *  after reducing the cache, during which the cache is not reduced again.
+ *  This applies across all application instances sharing the datastore,
+ *  except for `config.max_age`, which is debounced in this instance only.
+ *  If `0`, reductions are not debounced. Defaults to `1000`, if
+ *  `config.max_bytes` is set, as that policy reads the whole cache
+ * @param {Number} [config.max_age] - maximum age of items, in
+ *  milliseconds. See {@link MaxAgePolicy}
+ * @param {Function} [config.timeToId] - timeToId(timestamp) converting
+ *  a timestamp into an item ID, for `config.max_age`. By default, IDs
+ *  are assumed to be timestamps, in milliseconds
+ * @param {Number} [config.max_bytes] - maximum total length of items,
+ *  in bytes. See {@link MaxBytesPolicy}
+ * @param {Number} [config.min_bytes=config.max_bytes] - total length of
+ *  items to reduce the cache to, once `config.max_bytes` is reached
+ * @param {EvictionPolicy[]} [config.eviction] - additional, custom
+ *  eviction policies. These are applied after the built-in ones
+ * @param {Function|String|stream.Writable} [config.archive] - sink to
+ *  archive items into, when evicted or purged. See {@link archive.resolve}
+ * @throws {ConfigurationError} if any of the values is invalid, or the
+ *  store does not implement the methods needed by the features
+ *  configured. In this case, the current configuration is left as is
  */
 Server.prototype._configure = function _configure(config) {
     debug("configuring client");
-    config = config || { };
-    _.defaults(config, defaults, {
+    var given = _.assign({ }, config);
+    config = _.defaults({ }, given, {
         stringify: stringify,
+        parse: JSON.parse,
         uniqueIds: false,
-    });
-    this._minsize = config.min_size;
-    this._maxsize = config.max_size;
+        reduce_debounce: 0,
+        chunk_size: 1000,
+    }, defaults);
+    // a max_size smaller than the default min_size should just work
+    if (_.isUndefined(given.min_size)) {
+        config.min_size = Math.min(config.min_size, config.max_size);
+    }
+    // reading the whole cache on every write would block the datastore
+    if (_.isUndefined(given.reduce_debounce) && given.max_bytes) {
+        config.reduce_debounce = bytesReduceDebounce;
+    }
+    validateConfig(config);
+    var missing = stores.missingMethods(this._store, neededMethods(config));
+    if (missing.length) {
+        throw new errors.ConfigurationError("datastore does not implement the methods needed by the configuration: " +
+            missing.join(", "), { missing: missing });
+    }
+
+    // these may throw, thus are built before changing anything
+    var policies = eviction.fromConfig(config);
+    var archiver = archive.resolve(config.archive, this._store);
+
+    this._config = given;
     this._key = config.key;
     this._stringify = config.stringify;
+    this._parse = config.parse;
     this._uniqueIds = config.uniqueIds;
+    this._batchSize = config.batch_size;
+    this._chunkSize = config.chunk_size;
+    this._eviction = policies;
+    this._archive = archiver;
     return this;
 };
 
 
+/**
+ * Change the configuration, at runtime. The values passed are merged
+ * into the current configuration; values left out are kept as they are.
+ * The eviction policies and archive sink are rebuilt accordingly, thus
+ * new limits apply on the next write.
+ *
+ * @public
+ *
+ * @param {Object} changes - configuration values to change. See
+ *  {@link Server#_configure}
+ * @return {this}
+ * @throws {ConfigurationError} if any of the values is invalid. In this
+ *  case, the current configuration is left as is
+ */
+Server.prototype.reconfigure = function reconfigure(changes) {
+    debug("reconfiguring server [%s]", this._key);
+    return this._configure(_.assign({ }, this._config, changes));
+};
+
+
 /**
  * Return the size of the cache i.e. number of items in the cache. Note that
  * this function queries the redis server to determine this size and it is
@@ -85,17 +376,21 @@ Server.prototype._configure = function _configure(config) {
  * across multiple application instances using a single redis server DB.
  *
  * @public
- * @param {Function} callback - callback(err, size)
+ * @param {Function} [callback] - callback(err, size)
+ * @return {this|Promise} `this` if `callback` is passed. Otherwise,
+ *  a Promise resolving to the size
  */
-Server.prototype.getSize = function(done) {
+Server.prototype.getSize = function(callback) {
     var self = this;
-    self._client.zcard(self._key, function(err, cardinality) {
-        if (err) {
-            return done(err);
-        }
-        return done(null, cardinality);
-    });
-    return self;
+    var promise = self._promisify(function(done) {
+        self._store.count(self._key, function(err, cardinality) {
+            if (err) {
+                return done(err);
+            }
+            return done(null, cardinality);
+        });
+    }, callback);
+    return promise || self;
 };
 
 
@@ -105,42 +400,41 @@ Server.prototype.getSize = function(done) {
  *
  * @public
  *
- * @param {Number} [id] - id of the item
+ * @param {Number} [id] - id of the item. If left out, `item.id` is used
  * @param {Object|String} item - the item itself
  * @param {Function} [callback] - callback(err)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
  */
 Server.prototype.addOne = function addOne(id, item, callback) {
-    if (!callback && _.isFunction(item)) {
+    // the callback is always the last argument
+    if (_.isFunction(item)) {
         callback = item;
-        item = id;
+        item = undefined;
     }
-
-    var self = this;
-
     if (_.isPlainObject(id)) {
         item = id;
         id = item.id;
     }
 
-    if (!_.isString(item)) {
-        item = this._stringify(item);
-    }
+    var self = this;
+    var err = validateId(id) || validateItem(item, { id: id });
 
-    // we need to remove the old item to guarantee unique ids
-    if (this._uniqueIds) {
-        return this._client.zremrangebyscore(this._key, id, id, function(error) {
-            if (error) {
-                return callback(error);
-            }
-            return exec();
-        });
+    if (!err && !_.isString(item)) {
+        item = this._stringify(item);
     }
 
-    return exec();
-    function exec() {
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        var entries = [{ score: id, value: item }];
         debug("adding item to cache [%s] {%d}", self._key, id);
-        self._client.zadd(self._key, id, item, self._wrapCallback(callback));
-    }
+        // we need to remove the old item, atomically, to guarantee unique ids
+        if (self._uniqueIds) {
+            return self._store.replaceByScore(self._key, entries, self._wrapCallback(done, "add", { ids: [id] }));
+        }
+        return self._store.add(self._key, entries, self._wrapCallback(done, "add", { ids: [id] }));
+    }, callback);
 };
 
 
@@ -149,45 +443,338 @@ Server.prototype.addOne = function addOne(id, item, callback) {
  * each with an ID (.id prop) that defines its position in the ordered
  * sequence of all items.
  *
+ * Large inputs are split into chunks of <config.chunk_size> items, that
+ * are written in a pipeline, rather than in a single, huge command. Each
+ * chunk is written atomically, but the whole input is not. If writing
+ * any of the chunks fails, the error passed to the callback has the
+ * properties `written` and `failed`, holding the IDs of the items
+ * written and those not written, respectively.
+ *
  * @public
  *
  * @param {Object[]} items - array of items
  * @param {Number} items[].id - id of the item
- * @param {Function} [callback] - callback(err)
+ * @param {Object} [options]
+ * @param {Number} [options.chunk_size] - chunk size to use in this
+ *  invocation
+ * @param {Function} [options.onProgress] - onProgress({ written, total })
+ *  invoked after each chunk is written
+ * @param {Function} [callback] - callback(err, numberAdded)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
  */
-Server.prototype.add = function add(items, callback) {
+Server.prototype.add = function add(items, options, callback) {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = { };
+    }
+    options = options || { };
+
+    var self = this;
+    var err = validateItems(items) || validateOptions(options);
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        return self._add(items, options, done);
+    }, callback);
+};
+
+
+/**
+ * Add several items to the cache. See {@link Server#add}.
+ *
+ * @private
+ *
+ * @param {Object[]} items - array of items
+ * @param {Object} options
+ * @param {Function} callback - callback(err, numberAdded)
+ */
+Server.prototype._add = function _add(items, options, callback) {
+    var self = this;
     debug("adding new items to cache: [%s]", this._key);
     if (items.length === 0) {
-        if (callback) {
-            return callback(null);
-        }
-        return null;
+        return callback(null, 0);
     }
 
+    var entries = this._toEntries(items);
+    var ids = _.map(items, "id");
+    var chunks = _.chunk(entries, options.chunk_size || this._chunkSize);
+    var written = 0;
+    var done = this._wrapCallback(callback, "add", { ids: ids });
+
+    // the chunks are written concurrently, thus pipelined in the datastore.
+    // We do not stop on the first error, so as to know what was written.
+    return async.map(chunks, function(chunk, next) {
+        return self._addChunk(self._key, chunk, function(err, added) {
+            if (err) {
+                return next(null, { error: err });
+            }
+            written += chunk.length;
+            if (options.onProgress) {
+                options.onProgress({ written: written, total: entries.length });
+            }
+            return next(null, { added: added });
+        });
+    }, function(mapErr, results) {
+        var err = null;
+        var failed = [];
+        var succeeded = [];
+        var added = 0;
+        results.forEach(function(result, chunkIndex) {
+            var chunkIds = _.map(chunks[chunkIndex], "score");
+            if (result.error) {
+                err = err || result.error;
+                failed = failed.concat(chunkIds);
+            } else {
+                succeeded = succeeded.concat(chunkIds);
+                added += result.added;
+            }
+        });
+        if (err) {
+            debug("failed to add %d of %d items to cache [%s]", failed.length, entries.length, self._key);
+            err.written = succeeded;
+            err.failed = failed;
+        }
+        return done(err, added);
+    });
+};
+
+
+/**
+ * Convert items into entries, to be written to the datastore.
+ *
+ * @private
+ *
+ * @param {Object[]} items
+ * @return {Entry[]}
+ */
+Server.prototype._toEntries = function _toEntries(items) {
     var self = this;
-    var args = [this._key];
-    var len = items.length;
-    var item;
-    var min = items[0].id, max = items[items.length - 1].id;
-
-    for (var index = 0; index < len; index++) {
-        item = items[index];
-        if (item.id < min) min = item.id;
-        if (item.id > max) max = item.id;
-        args.push(item.id, this._stringify(item));
-    }
-    args.push(this._wrapCallback(callback));
-    // fire a delete request, if we are to guarantee unique ids
+    return items.map(function(item) {
+        return { score: item.id, value: self._stringify(item) };
+    });
+};
+
+
+/**
+ * Write a chunk of entries to the set at `key`, atomically.
+ *
+ * @private
+ *
+ * @param {String} key - key of the cache, or of a set being built
+ * @param {Entry[]} entries
+ * @param {Function} callback - callback(err, numberAdded)
+ */
+Server.prototype._addChunk = function _addChunk(key, entries, callback) {
+    // replace the items at these IDs atomically, if we are to guarantee unique ids
     if (this._uniqueIds) {
-        return this._client.zremrangebyscore(this._key, min, max, function(error) {
-            if (error) return callback(error);
-            return exec();
+        return this._store.replaceByScore(key, entries, callback);
+    }
+    return this._store.add(key, entries, callback);
+};
+
+
+/**
+ * Replace the whole contents of the cache with `items`, without the
+ * cache ever appearing empty, or partially filled, to readers. The items
+ * are written, in chunks, under a temporary key, which is then swapped
+ * in for the cache, atomically. Until then, readers are served the old
+ * contents. Items written to the cache in the meantime e.g. using
+ * {@link Server#addOne} are lost, as they are not in the new contents.
+ *
+ * Unlike {@link Server#purge}, the items replaced are not archived.
+ * Eviction policies are applied to the new contents, as usual.
+ * If writing any of the chunks, or swapping the new contents in, fails,
+ * the cache is left as is. The temporary key expires, should the
+ * application instance die before swapping it in.
+ *
+ * @public
+ *
+ * @param {Object[]} items - array of items
+ * @param {Number} items[].id - id of the item
+ * @param {Object} [options]
+ * @param {Number} [options.chunk_size] - chunk size to use in this
+ *  invocation
+ * @param {Function} [callback] - callback(err, numberAdded)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
+ */
+Server.prototype.repopulate = function repopulate(items, options, callback) {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = { };
+    }
+    options = options || { };
+
+    var self = this;
+    var err = validateItems(items) || validateOptions(options);
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        return self._repopulate(items, options, done);
+    }, callback);
+};
+
+
+/**
+ * Replace the contents of the cache. See {@link Server#repopulate}.
+ *
+ * @private
+ *
+ * @param {Object[]} items - array of items
+ * @param {Object} options
+ * @param {Function} callback - callback(err, numberAdded)
+ */
+Server.prototype._repopulate = function _repopulate(items, options, callback) {
+    var self = this;
+    // a random suffix keeps instances repopulating concurrently apart
+    var tmpKey = this._key + ":repopulate:" + crypto.randomBytes(8).toString("hex");
+    var chunks = _.chunk(this._toEntries(items), options.chunk_size || this._chunkSize);
+    debug("repopulating cache [%s] with %d items, using [%s]", this._key, items.length, tmpKey);
+
+    function abort(err) {
+        // do not leave the partially-written set behind
+        return self._store.del(tmpKey, function() {
+            return callback(err);
         });
     }
-    return exec();
-    function exec() {
-        return self._client.zadd.apply(self._client, args);
+
+    return async.map(chunks, function(chunk, next) {
+        return self._addChunk(tmpKey, chunk, function(addErr, count) {
+            if (addErr) {
+                return next(addErr);
+            }
+            return self._store.expire(tmpKey, repopulateTtl, function(expireErr) {
+                return next(expireErr, count);
+            });
+        });
+    }, function(addErr, counts) {
+        if (addErr) {
+            return abort(addErr);
+        }
+        return self._store.rename(tmpKey, self._key, function(renameErr) {
+            if (renameErr) {
+                return abort(renameErr);
+            }
+            var added = _.sum(counts);
+            self.emit("repopulate", { key: self._key, added: added });
+            // reduce in the background; errors are emitted by _reduce()
+            self._reduce();
+            return callback(null, added);
+        });
+    });
+};
+
+
+/**
+ * Result of updating an item. See {@link Server#update}.
+ *
+ * @typedef {Object} UpdateResult
+ * @property {Boolean} found - whether an item exists at the ID. If not,
+ *  nothing is written
+ * @property {*} [item] - the updated item, if found
+ */
+
+
+/**
+ * Update the item at `id`, in place. The current item is read and parsed,
+ * using `config.parse`, and `patch` is applied to it. If `patch` is
+ * a function, it is invoked with the item, and returns the updated item
+ * (or modifies the item passed, returning nothing). Otherwise, it is
+ * applied as a JSON merge patch (RFC 7386) i.e. its properties are
+ * merged recursively into the item, with `null` ones being removed.
+ *
+ * The updated item is stringified and replaces the current one,
+ * atomically, only if the item has not been modified in the meantime.
+ * Otherwise, the update is retried, a few times, before failing.
+ * If several items share the ID, the update fails, as it can not tell
+ * which item to update.
+ *
+ * @public
+ *
+ * @param {Number} id - id of the item
+ * @param {Object|Function} patch - merge patch, or function
+ *  patch(item) returning the updated item
+ * @param {Function} [callback] - callback(err, updateResult)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
+ */
+Server.prototype.update = function update(id, patch, callback) {
+    var self = this;
+    var err = validateId(id);
+    if (!err && !_.isFunction(patch) && !_.isObject(patch)) {
+        err = new errors.InvalidArgumentError("patch must be an object or function");
     }
+    debug("updating item in cache [%s] {%d}", this._key, id);
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        return self._update(id, patch, maxUpdateAttempts, done);
+    }, callback);
+};
+
+
+/**
+ * Update the item at `id`. See {@link Server#update}.
+ *
+ * @private
+ *
+ * @param {Number} id
+ * @param {Object|Function} patch
+ * @param {Number} attempts - number of attempts left
+ * @param {Function} callback - callback(err, updateResult)
+ */
+Server.prototype._update = function _update(id, patch, attempts, callback) {
+    var self = this;
+    return self._store.rangeByScore(self._key, id, id, function(err, values) {
+        if (err) {
+            return callback(err);
+        }
+        if (values.length === 0) {
+            return callback(null, { found: false });
+        }
+        if (values.length > 1) {
+            return callback(new errors.ConflictError("several items found at id " + id, { id: id }));
+        }
+
+        var item;
+        try {
+            item = self._parse(values[0]);
+        } catch (parseErr) {
+            return callback(new errors.InvalidItemError("could not parse item at id " + id + ": " + parseErr.message, {
+                item: values[0],
+                id: id,
+                cause: parseErr,
+            }));
+        }
+        try {
+            if (_.isFunction(patch)) {
+                var updated = patch(item);
+                item = updated === undefined ? item : updated;
+            } else {
+                item = utils.mergePatch(item, patch);
+            }
+        } catch (ex) {
+            return callback(ex);
+        }
+        var value = _.isString(item) ? item : self._stringify(item);
+
+        return self._store.compareAndReplace(self._key, id, values, value, function(replaceErr, replaced) {
+            if (replaceErr) {
+                return callback(replaceErr);
+            }
+            if (!replaced) {
+                if (attempts <= 1) {
+                    var message = "item at id " + id + " is being modified concurrently";
+                    return callback(new errors.ConflictError(message, { id: id }));
+                }
+                debug("item modified concurrently, retrying update [%s] {%d}", self._key, id);
+                return self._update(id, patch, attempts - 1, callback);
+            }
+            self.emit("update", { ids: [id] });
+            return callback(null, { found: true, item: item });
+        });
+    });
 };
 
 
@@ -198,31 +785,232 @@ Server.prototype.add = function add(items, callback) {
  * @public
  *
  * @param {Number} id - id of the item
- * @param {Function} [callback] - callback(err)
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
  */
 Server.prototype.removeOne = function removeOne(id, callback) {
+    var self = this;
+    var err = validateId(id);
     debug("removing item from cache [%s] {%d}", this._key, id);
-    this._client.zremrangebyscore(this._key, id, id, callback);
-    return;
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        self._store.removeRangeByScore(self._key, id, id, self._wrapCallback(done, "remove", { ids: [id] }));
+    }, callback);
+};
+
+
+/**
+ * Remove the items at each of the IDs, in one round trip.
+ *
+ * @public
+ *
+ * @param {Number[]} ids - IDs of the items
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
+ */
+Server.prototype.removeMany = function removeMany(ids, callback) {
+    var self = this;
+    var err = validateIds(ids);
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        debug("removing %d items from cache [%s]", ids.length, self._key);
+        if (ids.length === 0) {
+            return done(null, 0);
+        }
+        return self._store.removeByScores(self._key, ids, self._wrapCallback(done, "remove", { ids: ids }));
+    }, callback);
+};
+
+
+/**
+ * Remove the items with IDs between `from` and `to` (inclusive, unless
+ * made exclusive using the options).
+ *
+ * @public
+ *
+ * @param {Number} from - smallest ID. `-Infinity` for no lower bound
+ * @param {Number} to - largest ID. `+Infinity` for no upper bound
+ * @param {Object} [options]
+ * @param {Boolean} [options.fromExclusive=false] - exclude `from`
+ * @param {Boolean} [options.toExclusive=false] - exclude `to`
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
+ */
+Server.prototype.removeRange = function removeRange(from, to, options, callback) {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = { };
+    }
+    options = options || { };
+
+    var self = this;
+    var min = options.fromExclusive ? stores.exclusive(from) : from;
+    var max = options.toExclusive ? stores.exclusive(to) : to;
+    var err = null;
+    if (!utils.isBound(from) || !utils.isBound(to)) {
+        err = new errors.InvalidIdError("invalid range of ids: " + from + ".." + to, { from: from, to: to });
+    }
+    debug("removing items in range %s..%s from cache [%s]", min, max, this._key);
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        var event = { range: { from: from, to: to } };
+        return self._store.removeRangeByScore(self._key, min, max, self._wrapCallback(done, "remove", event));
+    }, callback);
+};
+
+
+/**
+ * Remove the items for which `predicate` returns `true`. The cache is
+ * scanned in batches, from the oldest to the newest items, removing
+ * matching items batch by batch. Items are parsed, using `config.parse`,
+ * before being passed to the predicate; items failing to parse are
+ * passed as they are (strings).
+ * Note that the removal is not atomic: items added or removed, by other
+ * clients, while scanning may be skipped.
+ *
+ * @public
+ *
+ * @param {Function} predicate - predicate(item, id) returning `true` if
+ *  the item is to be removed
+ * @param {Object} [options]
+ * @param {Number} [options.batch_size] - number of items to scan at a
+ *  time. Defaults to `config.batch_size`
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
+ */
+Server.prototype.removeWhere = function removeWhere(predicate, options, callback) {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = { };
+    }
+    options = options || { };
+
+    var self = this;
+    var batchSize = options.batch_size || this._batchSize;
+    var err = validateOptions(options);
+    if (!err && !_.isFunction(predicate)) {
+        err = new errors.InvalidArgumentError("predicate must be a function");
+    }
+    debug("removing matching items from cache [%s]", this._key);
+    return self._promisify(function(done) {
+        if (err) {
+            return done(err);
+        }
+        return self._removeWhere(predicate, batchSize, done);
+    }, callback);
+};
+
+
+/**
+ * Scan the cache, removing matching items. See {@link Server#removeWhere}.
+ *
+ * @private
+ *
+ * @param {Function} predicate
+ * @param {Number} batchSize
+ * @param {Function} callback - callback(err, numberRemoved)
+ */
+Server.prototype._removeWhere = function _removeWhere(predicate, batchSize, callback) {
+    var self = this;
+    var ids = [];
+    var removed = 0;
+    var start = 0;
+    var scanned = 0;
+    var done = self._wrapCallback(callback, "remove", { ids: ids });
+
+    return async.doWhilst(function(next) {
+        var rangeOptions = { withScores: true };
+        return self._store.rangeByRank(self._key, start, start + batchSize - 1, rangeOptions, function(err, entries) {
+            if (err) {
+                return next(err);
+            }
+            scanned = entries.length;
+
+            var matches;
+            try {
+                matches = entries.filter(function(entry) {
+                    return predicate(self._parseValue(entry.value), entry.score);
+                });
+            } catch (ex) {
+                return next(ex);
+            }
+            // ranks shift, as we remove items from this batch
+            start += scanned - matches.length;
+            if (matches.length === 0) {
+                return next();
+            }
+
+            var values = _.map(matches, "value");
+            return self._store.remove(self._key, values, function(removeErr, count) {
+                if (removeErr) {
+                    return next(removeErr);
+                }
+                removed += count;
+                matches.forEach(function(entry) {
+                    ids.push(entry.score);
+                });
+                return next();
+            });
+        });
+    }, function() {
+        return scanned === batchSize;
+    }, function(err) {
+        return done(err, removed);
+    });
+};
+
+
+/**
+ * Parse a value, using `config.parse`. Values failing to parse are
+ * returned as they are.
+ *
+ * @private
+ *
+ * @param {String} value
+ * @return {*}
+ */
+Server.prototype._parseValue = function _parseValue(value) {
+    try {
+        return this._parse(value);
+    } catch (ex) {
+        return value;
+    }
 };
 
 
 /**
  * Wrap callback for user. This allows us to add several hooks in one place,
  * to be executed just before we return the response to the callee. These
- * hooks include reducing the cache (when necessary).
+ * hooks include emitting an event (`add` or `remove`) and reducing the
+ * cache (when necessary). The cache is reduced in the background, thus
+ * the user's callback does not wait for it. Errors from reducing the
+ * cache are emitted as `error`, as the write itself succeeded.
  *
  * @private
  *
  * @param {Function} [callback] - user's callback
+ * @param {String} eventName - event to emit, on success
+ * @param {Object} event - event, to which the number of items added or
+ *  removed is added
  * @return {Function} wrapped callback
  */
-Server.prototype._wrapCallback = function _wrapCallback(callback) {
+Server.prototype._wrapCallback = function _wrapCallback(callback, eventName, event) {
     var self = this;
-    return function(err, added) {
+    return function(err, count) {
+        if (!err) {
+            event[countProperties[eventName]] = count;
+            self.emit(eventName, event);
+        }
+        // reduce in the background; errors are emitted by _reduce()
         self._reduce();
         if (callback) {
-            callback(err, added);
+            callback(err, count);
         }
         return;
     };
@@ -234,55 +1022,109 @@ Server.prototype._wrapCallback = function _wrapCallback(callback) {
  * time, the maximum size the cache can grow to is <config.max_size>.
  * Whenever the size of the cache reaches this upper bound, it is reduced to
  * <config.min_size>. This helps avoid requests that will return 0 items
- * after a size reduction. This function queries the cache on each request.
- * A possible speed up would be have the cache alert the application when
- * maximum size is reached, thus calling this function only when it is
- * needed (and not on each request to add items to cache). Actually, it
- * might happen to fewer times than that as we are debouncing requests in
- * this app process.
+ * after a size reduction. The size is checked and the cache reduced
+ * atomically, in the datastore, thus application instances sharing the
+ * datastore can not trim the cache at the same time. Reductions are
+ * debounced in this app process and, if `config.reduce_debounce` is set,
+ * across all application instances.
+ * The other eviction policies configured, if any, are applied one after
+ * the other, after the one above. The sizes passed to the callback are
+ * those before the first and after the last policy. The items evicted
+ * are archived, if `config.archive` is set.
  * All functions adding items to the cache call this function thus ensuring
  * the cache does not grow out of bounds.
  *
- * @todo handle errors that are being ignored
- *
  * @private
+ *
+ * @param {Function} [callback] - callback(err, trimResult)
  */
-Server.prototype._reduce = function _reduce() {
+Server.prototype._reduce = function _reduce(callback) {
     var self = this;
+    callback = callback || function() {};
 
     // this helps debounce requests in this application.
     if (self._reducing) {
-        return;
+        return callback(null, null);
     }
 
-    // if the max_size is +Infinity, then we are NEVER reduce cache size
-    if (self._maxsize === +Infinity) {
-        return;
+    // e.g. if the max_size is +Infinity, and no other policies are
+    // configured, then we are NEVER reduce cache size
+    if (self._eviction.length === 0) {
+        return callback(null, null);
     }
 
-    self._reducing = true;
-    self.getSize(function(err, currentSize) {
-        if (err) {
-            // just ignore this error
-            return;
-        }
-        // if the maximum size has not been reached
-        if (currentSize < self._maxsize) {
-            self._reducing = false;
-            return;
-        }
+    var options = { withRemoved: Boolean(self._archive) };
+    var results = [];
+    var removed = [];
 
-        // maximum size has been reached, so we have to reduce items
-        debug("reducing size of cache '%s'", self._key);
-        self._client.zremrangebyrank(self._key, 0, -(self._minsize + 1), function(reductionErr) {
-            if (reductionErr) {
-                // IGNORE
+    self._reducing = true;
+    return async.eachSeries(self._eviction, function(policy, next) {
+        return policy.evict(self._store, self._key, options, function(evictErr, policyResult) {
+            if (evictErr) {
+                return next(evictErr);
+            }
+            if (policyResult) {
+                results.push(policyResult);
+                removed = removed.concat(policyResult.removed || []);
             }
-            self._reducing = false;
+            return next();
+        });
+    }, function(evictErr) {
+        self._reducing = false;
+        // we archive whatever was evicted, even if a later policy failed
+        return self._archiveEntries(removed, function(archiveErr) {
+            var err = evictErr || archiveErr;
+            if (err) {
+                debug("error occurred while reducing size of cache '%s': %s", self._key, err);
+                self._emitError(err);
+                return callback(err);
+            }
+            var result = results.length ? { before: _.first(results).before, after: _.last(results).after } : null;
+            if (result && result.after < result.before) {
+                debug("reduced size of cache '%s' from %d to %d", self._key, result.before, result.after);
+                self.emit("reduce", { before: result.before, after: result.after });
+            }
+            return callback(null, result);
         });
-        return;
     });
-    return;
+};
+
+
+/**
+ * Archive entries removed from the cache, if an archive sink is
+ * configured. On failure, the entries are attached to the error,
+ * as `err.entries`, so that they are not lost silently.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries
+ * @param {Function} callback - callback(err)
+ */
+Server.prototype._archiveEntries = function _archiveEntries(entries, callback) {
+    var self = this;
+    if (!self._archive || entries.length === 0) {
+        return callback(null);
+    }
+    debug("archiving %d items from cache [%s]", entries.length, self._key);
+    var called = false;
+    try {
+        return self._archive(entries, done);
+    } catch (err) {
+        // the sink threw, instead of passing the error
+        return done(err);
+    }
+
+    function done(err) {
+        if (called) {
+            return null;
+        }
+        called = true;
+        if (err) {
+            err.entries = entries;
+            return callback(err);
+        }
+        return callback(null);
+    }
 };
 
 
@@ -297,13 +1139,77 @@ Server.prototype._reduce = function _reduce() {
  * It is therefore recommended that you only purge cache when you intend to
  * do so. For example, from an admin panel, you can purge the cache (maybe
  * the cache for the host is misbehaving or during debugging).
+ * If `config.archive` is set, the items are archived, rather than being
+ * destroyed.
  *
  * @public
  *
  * @param {Function} [callback] - callback(err)
+ * @return {Promise|undefined} a Promise, if `callback` is not passed
  */
 Server.prototype.purge = function purgeCache(callback) {
+    var self = this;
     debug("purging cache [%s]", this._key);
-    callback = callback || function() {};
-    return this._client.del(this._key, callback);
+    return self._promisify(function(done) {
+        function purged(err) {
+            if (err) {
+                return done(err);
+            }
+            self.emit("purge", { key: self._key });
+            return done(null);
+        }
+
+        if (!self._archive) {
+            return self._store.del(self._key, purged);
+        }
+        // removing the items, atomically, ensures each is archived exactly once
+        return self._store.popRangeByScore(self._key, -Infinity, +Infinity, function(err, entries) {
+            if (err) {
+                return done(err);
+            }
+            return self._archiveEntries(entries, purged);
+        });
+    }, callback);
+};
+
+
+/**
+ * Run the asynchronous function `fn`, like {@link utils.promisify}. If
+ * a Promise is returned i.e. `callback` is left out, its rejection is
+ * also emitted as `error`, so that calls whose Promise is ignored do not
+ * end in an unhandled rejection, crashing the process.
+ *
+ * @private
+ *
+ * @param {Function} fn - fn(done)
+ * @param {Function} [callback] - user's callback
+ * @return {Promise|undefined}
+ */
+Server.prototype._promisify = function _promisify(fn, callback) {
+    var self = this;
+    var promise = utils.promisify(fn, callback);
+    if (promise) {
+        promise.catch(function(err) {
+            self._emitError(err);
+        });
+    }
+    return promise;
+};
+
+
+/**
+ * Emit the `error` event, if there are listeners for it. Emitting
+ * `error` without any listeners would throw, crashing the process.
+ *
+ * @private
+ *
+ * @param {Error} err
+ * @return {Boolean} whether the event was emitted
+ */
+Server.prototype._emitError = function _emitError(err) {
+    if (this.listeners("error").length === 0) {
+        return false;
+    }
+    this.emit("error", err);
+    return true;
 };
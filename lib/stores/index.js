@@ -0,0 +1,518 @@
+/**
+ * @description
+ * Datastore adapters. The Server and Client interfaces never talk to
+ * a datastore directly. Instead, they use an object implementing the
+ * {@link Store} interface below. This allows plugging in alternative
+ * backends, without touching the interfaces themselves.
+ */
+
+
+"use strict";
+
+
+// own modules
+var errors = require("../errors");
+var MemoryStore = require("./memory");
+var RedisStore = require("./redis");
+
+
+exports = module.exports = {
+    MemoryStore: MemoryStore,
+    RedisStore: RedisStore,
+    exclusive: exclusive,
+    guard: guard,
+    isStore: isStore,
+    missingMethods: missingMethods,
+    resolve: resolve,
+};
+
+
+/**
+ * A sorted set member, as passed to and returned from a {@link Store}.
+ *
+ * @typedef {Object} Entry
+ * @property {Number} score - score of the member i.e. the item ID
+ * @property {String} value - the member itself
+ */
+
+
+/**
+ * Options for limiting results from range queries.
+ *
+ * @typedef {Object} RangeOptions
+ * @property {Number} [offset=0] - number of members to skip
+ * @property {Number} [count] - maximum number of members to return
+ * @property {Boolean} [withScores=false] - return {@link Entry} objects,
+ *  instead of the values only
+ */
+
+
+/**
+ * Interface to be implemented by datastore adapters. Members in a set
+ * are ordered by their scores, from lowest to highest. Members sharing
+ * a score are ordered lexicographically (byte-wise) by their values.
+ * This is exactly how Redis' sorted sets behave.
+ *
+ * Score bounds may be Numbers, including `-Infinity` and `+Infinity`.
+ * A bound is made exclusive by passing a String with the score prefixed
+ * with `(`, just like in Redis e.g. `"(5"`. See {@link exclusive}.
+ * Rank indices may be negative, counting from the end of the set, with
+ * `-1` being the last member.
+ *
+ * All methods are asynchronous and pass their results to the callback.
+ *
+ * Some methods are optional, being used by some features only e.g.
+ * {@link Store#acquireLease}. Stores not implementing them can be used,
+ * as long as those features are not.
+ *
+ * @interface Store
+ */
+
+
+/**
+ * Add members to the set at `key`.
+ *
+ * @function
+ * @name Store#add
+ * @param {String} key
+ * @param {Entry[]} entries - members to add
+ * @param {Function} [callback] - callback(err, numberAdded)
+ */
+
+
+/**
+ * Return the number of members in the set at `key`.
+ *
+ * @function
+ * @name Store#count
+ * @param {String} key
+ * @param {Function} callback - callback(err, count)
+ */
+
+
+/**
+ * Return the values of members between the ranks `start` and `stop`
+ * (inclusive), in ascending order.
+ *
+ * @function
+ * @name Store#rangeByRank
+ * @param {String} key
+ * @param {Number} start
+ * @param {Number} stop
+ * @param {RangeOptions} [options] - only `withScores` is used
+ * @param {Function} callback - callback(err, values)
+ */
+
+
+/**
+ * Return the values of members with scores between `min` and `max`
+ * (inclusive), in ascending order.
+ *
+ * @function
+ * @name Store#rangeByScore
+ * @param {String} key
+ * @param {Number|String} min
+ * @param {Number|String} max
+ * @param {RangeOptions} [options]
+ * @param {Function} callback - callback(err, values)
+ */
+
+
+/**
+ * Return the values of members with scores between `max` and `min`
+ * (inclusive), in descending order.
+ *
+ * @function
+ * @name Store#revRangeByScore
+ * @param {String} key
+ * @param {Number|String} max
+ * @param {Number|String} min
+ * @param {RangeOptions} [options]
+ * @param {Function} callback - callback(err, values)
+ */
+
+
+/**
+ * Return the values of members at each of the `scores`, in one round trip.
+ * The results are ordered as the scores are, with the values at each
+ * score in ascending order.
+ *
+ * @function
+ * @name Store#rangeByScores
+ * @param {String} key
+ * @param {Number[]} scores
+ * @param {Function} callback - callback(err, valuesPerScore)
+ */
+
+
+/**
+ * Remove members between the ranks `start` and `stop` (inclusive).
+ *
+ * @function
+ * @name Store#removeRangeByRank
+ * @param {String} key
+ * @param {Number} start
+ * @param {Number} stop
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ */
+
+
+/**
+ * Remove members with scores between `min` and `max` (inclusive).
+ *
+ * @function
+ * @name Store#removeRangeByScore
+ * @param {String} key
+ * @param {Number|String} min
+ * @param {Number|String} max
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ */
+
+
+/**
+ * Remove the members at each of the `scores`, in one round trip.
+ *
+ * @function
+ * @name Store#removeByScores
+ * @param {String} key
+ * @param {Number[]} scores
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ */
+
+
+/**
+ * Remove the members `values`, regardless of their scores.
+ *
+ * @function
+ * @name Store#remove
+ * @param {String} key
+ * @param {String[]} values
+ * @param {Function} [callback] - callback(err, numberRemoved)
+ */
+
+
+/**
+ * Atomically remove the members with scores between `min` and `max`
+ * (inclusive), returning them.
+ *
+ * @function
+ * @name Store#popRangeByScore
+ * @param {String} key
+ * @param {Number|String} min
+ * @param {Number|String} max
+ * @param {Function} callback - callback(err, entries)
+ */
+
+
+/**
+ * Atomically remove the members at each of the scores of `entries`, and
+ * add the `entries`. Members at other scores are left untouched. Either
+ * both or none of these changes is applied, and no other client can
+ * observe or interleave with them.
+ *
+ * @function
+ * @name Store#replaceByScore
+ * @param {String} key
+ * @param {Entry[]} entries - members to add
+ * @param {Function} [callback] - callback(err, numberAdded)
+ */
+
+
+/**
+ * Atomically replace the members at `score` with `value`, only if the
+ * members currently at `score` are exactly `expected`, in the order
+ * they are returned by {@link Store#rangeByScore}. This allows
+ * read-modify-write cycles without locking.
+ *
+ * @function
+ * @name Store#compareAndReplace
+ * @param {String} key
+ * @param {Number} score
+ * @param {String[]} expected - values expected at `score`
+ * @param {String} value - member to add
+ * @param {Function} callback - callback(err, replaced)
+ */
+
+
+/**
+ * Result of trimming a set. See {@link Store#trim}.
+ *
+ * @typedef {Object} TrimResult
+ * @property {Number} before - size of the set before trimming
+ * @property {Number} after - size of the set after trimming
+ * @property {Entry[]} [removed] - members removed, if
+ *  `options.withRemoved` was set
+ */
+
+
+/**
+ * Atomically reduce the set at `key` to `minSize` members, by removing
+ * the lowest-ranked members, if it has `maxSize` members or more.
+ *
+ * Trimming may be debounced across all clients, using `options.debounce`.
+ * Once the set is trimmed, the set is not trimmed again until
+ * `options.debounce.ttl` milliseconds elapse. In this case, `null` is
+ * passed to the callback. If `options.withRemoved` is set, the members
+ * removed are passed to the callback, as well.
+ *
+ * @function
+ * @name Store#trim
+ * @param {String} key
+ * @param {Number} maxSize
+ * @param {Number} minSize
+ * @param {Object} [options]
+ * @param {Object} [options.debounce]
+ * @param {String} options.debounce.key - key for the debounce lock
+ * @param {Number} options.debounce.ttl - debounce period, in milliseconds
+ * @param {Boolean} [options.withRemoved=false] - return the members removed
+ * @param {Function} callback - callback(err, trimResult)
+ */
+
+
+/**
+ * Atomically reduce the set at `key`, by removing the lowest-ranked
+ * members, until the total length of its members is `minBytes` or less,
+ * if the total length is `maxBytes` or more. Lengths are measured in
+ * bytes, of the members' UTF-8 encoding.
+ *
+ * Trimming may be debounced across all clients, using `options.debounce`,
+ * as in {@link Store#trim}.
+ *
+ * @function
+ * @name Store#trimBytes
+ * @param {String} key
+ * @param {Number} maxBytes
+ * @param {Number} minBytes
+ * @param {Object} [options]
+ * @param {Object} [options.debounce]
+ * @param {String} options.debounce.key - key for the debounce lock
+ * @param {Number} options.debounce.ttl - debounce period, in milliseconds
+ * @param {Boolean} [options.withRemoved=false] - return the members removed
+ * @param {Function} callback - callback(err, trimResult)
+ */
+
+
+/**
+ * Atomically replace the set at `destination` with the set at `source`.
+ * The set at `source` is gone, afterwards. If there is no set at
+ * `source` e.g. it has no members, the set at `destination` is destroyed.
+ * Readers see either the old or the new set, never a missing or
+ * partially-written one. The expiry of the set at `source`, if any,
+ * is cleared.
+ *
+ * @function
+ * @name Store#rename
+ * @param {String} source
+ * @param {String} destination
+ * @param {Function} [callback] - callback(err)
+ */
+
+
+/**
+ * Destroy the set at `key` after `ttl` milliseconds, unless it is
+ * destroyed, or renamed, before.
+ *
+ * @function
+ * @name Store#expire
+ * @param {String} key
+ * @param {Number} ttl - time to live, in milliseconds
+ * @param {Function} [callback] - callback(err)
+ */
+
+
+/**
+ * Acquire the lease at `key` for `token`, or renew it, if `token` holds
+ * it already. The lease expires after `ttl` milliseconds, unless renewed.
+ * Only one token can hold a lease at any time, across all clients.
+ *
+ * @function
+ * @name Store#acquireLease
+ * @param {String} key
+ * @param {String} token - identifies the holder
+ * @param {Number} ttl - time to live, in milliseconds
+ * @param {Function} callback - callback(err, acquired)
+ */
+
+
+/**
+ * Release the lease at `key`, if held by `token`.
+ *
+ * @function
+ * @name Store#releaseLease
+ * @param {String} key
+ * @param {String} token - identifies the holder
+ * @param {Function} [callback] - callback(err, released)
+ */
+
+
+/**
+ * Destroy the set at `key`.
+ *
+ * @function
+ * @name Store#del
+ * @param {String} key
+ * @param {Function} [callback] - callback(err)
+ */
+
+
+// methods every store must implement
+var requiredMethods = [
+    "add",
+    "count",
+    "rangeByRank",
+    "rangeByScore",
+    "revRangeByScore",
+    "removeRangeByScore",
+    "del",
+];
+// methods required only by some features. See the README.
+var optionalMethods = [
+    "removeRangeByRank",
+    "rangeByScores",
+    "removeByScores",
+    "remove",
+    "popRangeByScore",
+    "replaceByScore",
+    "compareAndReplace",
+    "trim",
+    "trimBytes",
+    "rename",
+    "expire",
+    "acquireLease",
+    "releaseLease",
+];
+
+
+/**
+ * Return the names of the `methods` that `obj` does not implement. The
+ * stand-ins of a guarded store (see {@link guard}) count as missing.
+ *
+ * @param {*} obj
+ * @param {String[]} methods
+ * @return {String[]}
+ */
+function missingMethods(obj, methods) {
+    return methods.filter(function(name) {
+        return !obj || typeof obj[name] !== "function" || obj[name].unsupported === true;
+    });
+}
+
+
+/**
+ * Return `true` if `obj` implements the required methods of the
+ * {@link Store} interface.
+ *
+ * @param {*} obj
+ * @return {Boolean}
+ */
+function isStore(obj) {
+    return Boolean(obj) && missingMethods(obj, requiredMethods).length === 0;
+}
+
+
+/**
+ * Return `true` if `obj` looks like a RedisClient.
+ *
+ * @private
+ *
+ * @param {*} obj
+ * @return {Boolean}
+ */
+function isRedisClient(obj) {
+    return Boolean(obj) && typeof obj.zadd === "function";
+}
+
+
+/**
+ * Return the exclusive version of the score bound `score`.
+ *
+ * @param {Number} score
+ * @return {String}
+ */
+function exclusive(score) {
+    if (score === +Infinity) return "(+inf";
+    if (score === -Infinity) return "(-inf";
+    return "(" + score;
+}
+
+
+/**
+ * Resolve the store to use. Stores are returned as is. A RedisClient is
+ * wrapped in a {@link RedisStore}.
+ *
+ * @param {Store|RedisClient} client
+ * @return {Store}
+ * @throws {ConfigurationError} if `client` is neither a store, nor
+ *  a RedisClient. The required methods it lacks are attached as
+ *  `err.missing`
+ */
+function resolve(client) {
+    if (isStore(client)) {
+        return client;
+    }
+    if (isRedisClient(client)) {
+        return new RedisStore(client);
+    }
+    var missing = missingMethods(client, requiredMethods);
+    throw new errors.ConfigurationError("datastore must be a RedisClient, or implement the Store interface; " +
+        "missing methods: " + missing.join(", "), { missing: missing });
+}
+
+
+/**
+ * Return a view of `store` whose methods pass errors from the datastore
+ * to their callbacks as {@link StoreError}s, with the original error
+ * attached as `err.cause`. Errors already raised by the interfaces
+ * are passed as they are. Optional methods that `store` does not
+ * implement pass a {@link ConfigurationError}, instead.
+ *
+ * @param {Store} store
+ * @return {Store}
+ */
+function guard(store) {
+    var guarded = Object.create(store);
+    requiredMethods.concat(optionalMethods).forEach(function(name) {
+        if (typeof store[name] !== "function") {
+            guarded[name] = unsupported(name);
+            return;
+        }
+        guarded[name] = function() {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args[args.length - 1];
+            if (typeof callback === "function") {
+                args[args.length - 1] = function(err) {
+                    if (err && !(err instanceof errors.SSInterfaceError)) {
+                        arguments[0] = new errors.StoreError(err.message, { cause: err });
+                    }
+                    return callback.apply(this, arguments);
+                };
+            }
+            return store[name].apply(store, args);
+        };
+    });
+    return guarded;
+}
+
+
+/**
+ * Return a stand-in for an optional method, that `store` does not
+ * implement. It passes a {@link ConfigurationError} to the callback,
+ * so that the feature requiring the method fails clearly.
+ *
+ * @private
+ *
+ * @param {String} name - name of the method
+ * @return {Function}
+ */
+function unsupported(name) {
+    var stub = function() {
+        var callback = arguments[arguments.length - 1];
+        var err = new errors.ConfigurationError("datastore does not implement " + name + "()", { method: name });
+        if (typeof callback !== "function") {
+            throw err;
+        }
+        return callback(err);
+    };
+    stub.unsupported = true;
+    return stub;
+}
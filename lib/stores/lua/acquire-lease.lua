@@ -0,0 +1,11 @@
+-- Acquire the lease at KEYS[1] for the token ARGV[1], or renew it, if the
+-- token holds it already. The lease expires after ARGV[2] milliseconds.
+-- This is `SET NX PX`, allowing the holder to renew its lease.
+-- Returns 1 if the lease is held by the token, afterwards, 0 otherwise.
+
+local holder = redis.call("GET", KEYS[1])
+if holder and holder ~= ARGV[1] then
+    return 0
+end
+redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2])
+return 1
@@ -0,0 +1,20 @@
+-- Atomically replace the members of the sorted set at KEYS[1], with the
+-- score ARGV[1], with the member ARGV[2], only if the members currently
+-- at that score are exactly ARGV[3], ARGV[4], ... (in order).
+-- Returns 1 if the members were replaced, 0 otherwise.
+
+local score = ARGV[1]
+local current = redis.call("ZRANGEBYSCORE", KEYS[1], score, score)
+
+if #current ~= #ARGV - 2 then
+    return 0
+end
+for i = 1, #current do
+    if current[i] ~= ARGV[i + 2] then
+        return 0
+    end
+end
+
+redis.call("ZREMRANGEBYSCORE", KEYS[1], score, score)
+redis.call("ZADD", KEYS[1], score, ARGV[2])
+return 1
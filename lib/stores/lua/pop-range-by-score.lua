@@ -0,0 +1,8 @@
+-- Atomically remove the members of the sorted set at KEYS[1], with
+-- scores between ARGV[1] and ARGV[2], and return them with their scores.
+
+local entries = redis.call("ZRANGEBYSCORE", KEYS[1], ARGV[1], ARGV[2], "WITHSCORES")
+if #entries > 0 then
+    redis.call("ZREMRANGEBYSCORE", KEYS[1], ARGV[1], ARGV[2])
+end
+return entries
@@ -0,0 +1,8 @@
+-- Release the lease at KEYS[1], if held by the token ARGV[1].
+-- Returns 1 if the lease was released, 0 otherwise.
+
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+    redis.call("DEL", KEYS[1])
+    return 1
+end
+return 0
@@ -0,0 +1,12 @@
+-- Atomically replace the sorted set at KEYS[2] with the one at KEYS[1].
+-- RENAME fails if KEYS[1] does not exist i.e. the new set is empty;
+-- in that case, the set at KEYS[2] is destroyed instead.
+-- RENAME carries the expiry of KEYS[1] over; it is cleared.
+
+if redis.call("EXISTS", KEYS[1]) == 1 then
+    redis.call("RENAME", KEYS[1], KEYS[2])
+    redis.call("PERSIST", KEYS[2])
+else
+    redis.call("DEL", KEYS[2])
+end
+return 1
@@ -0,0 +1,35 @@
+-- Atomically remove the members at each of the scores in ARGV[1..n] from
+-- the sorted set at KEYS[1], and add the members in ARGV[1..n], as
+-- score-member pairs. Only the scores being added are cleared; members
+-- with other scores are left untouched.
+-- Returns the number of members added.
+
+local function isScore(score)
+    return tonumber(score) ~= nil or score == "inf" or score == "+inf" or score == "-inf"
+end
+
+-- validate the scores upfront, as the removal is NOT rolled back
+-- should adding the members fail
+for i = 1, #ARGV, 2 do
+    if not isScore(ARGV[i]) then
+        return redis.error_reply("ERR value is not a valid float")
+    end
+end
+
+local cleared = {}
+for i = 1, #ARGV, 2 do
+    local score = ARGV[i]
+    if not cleared[score] then
+        cleared[score] = true
+        redis.call("ZREMRANGEBYSCORE", KEYS[1], score, score)
+    end
+end
+
+-- add the members in chunks, to avoid exceeding the stack size of 'unpack'
+local added = 0
+local chunk = 2000
+for i = 1, #ARGV, chunk do
+    local j = math.min(i + chunk - 1, #ARGV)
+    added = added + redis.call("ZADD", KEYS[1], unpack(ARGV, i, j))
+end
+return added
@@ -0,0 +1,45 @@
+-- Atomically reduce the sorted set at KEYS[1], by removing its
+-- lowest-ranked members, until the total length (in bytes) of its
+-- members is ARGV[2] or less, if the total length is ARGV[1] or more.
+-- If ARGV[3] is greater than zero, trimming is debounced using the key
+-- KEYS[2], which expires after ARGV[3] milliseconds: the set is not
+-- trimmed again, by any client, until the key expires.
+-- Returns the sizes of the set before and after trimming, or nil if
+-- the trimming was debounced. If ARGV[4] is "1", the members removed,
+-- with their scores, are returned as well.
+
+local maxBytes = tonumber(ARGV[1])
+local minBytes = tonumber(ARGV[2])
+local debounce = tonumber(ARGV[3])
+local withRemoved = ARGV[4] == "1"
+
+if debounce > 0 and redis.call("EXISTS", KEYS[2]) == 1 then
+    return nil
+end
+
+local members = redis.call("ZRANGE", KEYS[1], 0, -1)
+local size = #members
+local total = 0
+for i = 1, size do
+    total = total + #members[i]
+end
+if total < maxBytes then
+    return { size, size, {} }
+end
+
+local count = 0
+while count < size and total > minBytes do
+    count = count + 1
+    total = total - #members[count]
+end
+local entries = {}
+if count > 0 then
+    if withRemoved then
+        entries = redis.call("ZRANGE", KEYS[1], 0, count - 1, "WITHSCORES")
+    end
+    redis.call("ZREMRANGEBYRANK", KEYS[1], 0, count - 1)
+end
+if debounce > 0 then
+    redis.call("SET", KEYS[2], "1", "PX", debounce)
+end
+return { size, size - count, entries }
@@ -0,0 +1,32 @@
+-- Atomically reduce the sorted set at KEYS[1] to ARGV[2] members (by
+-- removing the lowest-ranked members), if it has ARGV[1] members or more.
+-- If ARGV[3] is greater than zero, trimming is debounced using the key
+-- KEYS[2], which expires after ARGV[3] milliseconds: the set is not
+-- trimmed again, by any client, until the key expires.
+-- Returns the sizes of the set before and after trimming, or nil if
+-- the trimming was debounced. If ARGV[4] is "1", the members removed,
+-- with their scores, are returned as well.
+
+local maxSize = tonumber(ARGV[1])
+local minSize = tonumber(ARGV[2])
+local debounce = tonumber(ARGV[3])
+local withRemoved = ARGV[4] == "1"
+
+if debounce > 0 and redis.call("EXISTS", KEYS[2]) == 1 then
+    return nil
+end
+
+local size = redis.call("ZCARD", KEYS[1])
+if size < maxSize then
+    return { size, size, {} }
+end
+
+local entries = {}
+if withRemoved then
+    entries = redis.call("ZRANGE", KEYS[1], 0, -(minSize + 1), "WITHSCORES")
+end
+local removed = redis.call("ZREMRANGEBYRANK", KEYS[1], 0, -(minSize + 1))
+if debounce > 0 then
+    redis.call("SET", KEYS[2], "1", "PX", debounce)
+end
+return { size, size - removed, entries }
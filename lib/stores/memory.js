@@ -0,0 +1,722 @@
+/**
+ * @description
+ * A {@link Store} keeping its sorted sets in process memory. It mimics
+ * the behaviour of Redis' sorted sets, and is therefore useful in tests
+ * and single-process deployments. Note that the sets can NOT be shared
+ * across processes.
+ */
+
+
+"use strict";
+
+
+// exporting the Constructor
+exports = module.exports = MemoryStore;
+exports.MemoryStore = MemoryStore;
+
+
+// npm-installed modules
+var debug = require("debug")("ss-interface:stores:memory");
+
+
+// own modules
+var utils = require("../utils");
+
+
+/**
+ * Create a new in-memory store.
+ *
+ * @constructor
+ * @public
+ * @implements {Store}
+ */
+function MemoryStore() {
+    debug("constructing new memory store");
+    this._sets = Object.create(null);
+    this._locks = Object.create(null); // key -> expiry timestamp
+    this._leases = Object.create(null); // key -> { token, expiry }
+}
+
+
+/**
+ * Compare two entries, by score and then by value.
+ *
+ * @private
+ *
+ * @param {Entry} a
+ * @param {Entry} b
+ * @return {Number}
+ */
+function compareEntries(a, b) {
+    if (a.score !== b.score) return a.score < b.score ? -1 : 1;
+    return utils.compareValues(a.value, b.value);
+}
+
+
+/**
+ * Parse a score, the way Redis does. Returns `NaN` if invalid.
+ *
+ * @private
+ *
+ * @param {Number|String} score
+ * @return {Number}
+ */
+function parseScore(score) {
+    if (typeof score === "number") return score;
+    if (typeof score !== "string" || score.trim() === "") return NaN;
+    var lowered = score.toLowerCase();
+    if (lowered === "inf" || lowered === "+inf") return +Infinity;
+    if (lowered === "-inf") return -Infinity;
+    return Number(score);
+}
+
+
+/**
+ * Parse a score bound, the way Redis does. Bounds prefixed with `(` are
+ * exclusive. Returns `null` if invalid.
+ *
+ * @private
+ *
+ * @param {Number|String} bound
+ * @return {Object|null} bound - `{ score: Number, exclusive: Boolean }`
+ */
+function parseBound(bound) {
+    var exclusive = false;
+    if (typeof bound === "string" && bound.charAt(0) === "(") {
+        exclusive = true;
+        bound = bound.slice(1);
+    }
+    var score = parseScore(bound);
+    if (isNaN(score)) return null;
+    return { score: score, exclusive: exclusive };
+}
+
+
+/**
+ * Invoke `callback`, if any, asynchronously. Operations are carried out
+ * synchronously, so that they are applied in the order they are issued
+ * (just like Redis' pipeline), but results are always delivered
+ * asynchronously.
+ *
+ * @private
+ *
+ * @param {Function} [callback]
+ * @param {Error|null} err
+ * @param {*} [result]
+ */
+function reply(callback, err, result) {
+    if (!callback) {
+        if (err) debug("ignoring error without a callback: %s", err);
+        return;
+    }
+    setImmediate(function() {
+        callback(err, result);
+    });
+}
+
+
+/**
+ * Return an error for an invalid score.
+ *
+ * @private
+ *
+ * @return {Error}
+ */
+function invalidScoreError() {
+    return new Error("ERR value is not a valid float");
+}
+
+
+/**
+ * Return the set at `key`. The set is created, if `create` is truthy.
+ * Expired sets are destroyed, first.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Boolean} [create=false]
+ * @return {Object|undefined} set
+ */
+MemoryStore.prototype._getSet = function _getSet(key, create) {
+    var set = this._sets[key];
+    if (set && set.expiry <= Date.now()) {
+        delete this._sets[key];
+        set = undefined;
+    }
+    if (!set && create) {
+        set = this._sets[key] = {
+            entries: [], // ordered entries
+            scores: Object.create(null), // value -> score
+        };
+    }
+    return set;
+};
+
+
+/**
+ * Return the ordered entries of the set at `key`.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @return {Entry[]}
+ */
+MemoryStore.prototype._entries = function _entries(key) {
+    var set = this._getSet(key);
+    return set ? set.entries : [];
+};
+
+
+/**
+ * Return the index at which `entry` is, or should be inserted.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries - ordered entries
+ * @param {Entry} entry
+ * @return {Number}
+ */
+function bisect(entries, entry) {
+    var lo = 0, hi = entries.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >>> 1;
+        if (compareEntries(entries[mid], entry) < 0) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+
+/**
+ * Return the index of the first entry with a score greater than (or
+ * equal to, if inclusive) `min`.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries
+ * @param {Object} min - parsed bound
+ * @return {Number}
+ */
+function lowerBound(entries, min) {
+    var lo = 0, hi = entries.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >>> 1;
+        var score = entries[mid].score;
+        if (score < min.score || (min.exclusive && score === min.score)) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+
+/**
+ * Return the index just past the last entry with a score less than (or
+ * equal to, if inclusive) `max`.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries
+ * @param {Object} max - parsed bound
+ * @return {Number}
+ */
+function upperBound(entries, max) {
+    var lo = 0, hi = entries.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >>> 1;
+        var score = entries[mid].score;
+        if (score < max.score || (!max.exclusive && score === max.score)) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+
+/**
+ * Normalize rank indices into a `[start, stop)` slice of a set of
+ * length `len`, the way Redis does.
+ *
+ * @private
+ *
+ * @param {Number} len - length of the set
+ * @param {Number} start
+ * @param {Number} stop
+ * @return {Number[]} [start, end]
+ */
+function rankSlice(len, start, stop) {
+    if (start < 0) start += len;
+    if (stop < 0) stop += len;
+    if (start < 0) start = 0;
+    if (start > stop || start >= len) return [0, 0];
+    if (stop >= len) stop = len - 1;
+    return [start, stop + 1];
+}
+
+
+/**
+ * Return the `[start, end)` slice of entries whose scores are within
+ * the bounds. Returns `null` if any of the bounds is invalid.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries
+ * @param {Number|String} min
+ * @param {Number|String} max
+ * @return {Number[]|null} [start, end]
+ */
+function scoreSlice(entries, min, max) {
+    min = parseBound(min);
+    max = parseBound(max);
+    if (!min || !max) return null;
+    var start = lowerBound(entries, min);
+    var end = upperBound(entries, max);
+    if (end < start) end = start;
+    return [start, end];
+}
+
+
+/**
+ * Apply the `LIMIT` options to a list of values.
+ *
+ * @private
+ *
+ * @param {Array} values
+ * @param {RangeOptions} [options]
+ * @return {Array}
+ */
+function applyLimit(values, options) {
+    if (!options || (options.offset === undefined && options.count === undefined)) {
+        return values;
+    }
+    var offset = options.offset || 0;
+    var count = options.count === undefined ? -1 : options.count;
+    if (offset < 0) return [];
+    if (count < 0) return values.slice(offset);
+    return values.slice(offset, offset + count);
+}
+
+
+/**
+ * Return the values of the entries or, if `options.withScores` is set,
+ * copies of the entries.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries
+ * @param {RangeOptions} [options]
+ * @return {String[]|Entry[]}
+ */
+function toValues(entries, options) {
+    if (options && options.withScores) {
+        return entries.map(function(entry) {
+            return { score: entry.score, value: entry.value };
+        });
+    }
+    return entries.map(function(entry) {
+        return entry.value;
+    });
+}
+
+
+/**
+ * Return the {@link TrimResult} for a set of `size` members, that did
+ * not need trimming.
+ *
+ * @private
+ *
+ * @param {Number} size
+ * @param {Object} [options] - see {@link Store#trim}
+ * @return {TrimResult}
+ */
+function untrimmed(size, options) {
+    var result = { before: size, after: size };
+    if (options && options.withRemoved) {
+        result.removed = [];
+    }
+    return result;
+}
+
+
+/**
+ * Return `true` if the lock at `key` is held i.e. has not expired yet.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @return {Boolean}
+ */
+MemoryStore.prototype._isLocked = function _isLocked(key) {
+    var expiry = this._locks[key];
+    if (expiry === undefined) return false;
+    if (expiry > Date.now()) return true;
+    delete this._locks[key];
+    return false;
+};
+
+
+/**
+ * Remove the entries in the `[start, end)` slice from the set at `key`.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Number} start
+ * @param {Number} end
+ * @return {Number} number of removed entries
+ */
+MemoryStore.prototype._removeSlice = function _removeSlice(key, start, end) {
+    var set = this._getSet(key);
+    if (!set || end <= start) return 0;
+    var removed = set.entries.splice(start, end - start);
+    removed.forEach(function(entry) {
+        delete set.scores[entry.value];
+    });
+    if (!set.entries.length) {
+        delete this._sets[key];
+    }
+    return removed.length;
+};
+
+
+/**
+ * Parse the entries to be added. Returns `null` if any of the scores
+ * is invalid.
+ *
+ * @private
+ *
+ * @param {Entry[]} entries
+ * @return {Entry[]|null}
+ */
+function parseEntries(entries) {
+    var parsed = [];
+    for (var i = 0; i < entries.length; i++) {
+        var score = parseScore(entries[i].score);
+        if (isNaN(score)) {
+            return null;
+        }
+        parsed.push({ score: score, value: String(entries[i].value) });
+    }
+    return parsed;
+}
+
+
+/**
+ * Insert the parsed entries into the set at `key`. Existing members
+ * have their scores updated.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Entry[]} entries - parsed entries
+ * @return {Number} number of added entries
+ */
+MemoryStore.prototype._insert = function _insert(key, entries) {
+    if (!entries.length) {
+        return 0;
+    }
+    var set = this._getSet(key, true);
+    var added = 0;
+    entries.forEach(function(entry) {
+        var oldScore = set.scores[entry.value];
+        if (oldScore !== undefined) {
+            if (oldScore === entry.score) return;
+            set.entries.splice(bisect(set.entries, { score: oldScore, value: entry.value }), 1);
+        } else {
+            added++;
+        }
+        set.scores[entry.value] = entry.score;
+        set.entries.splice(bisect(set.entries, entry), 0, entry);
+    });
+    return added;
+};
+
+
+MemoryStore.prototype.add = function add(key, entries, callback) {
+    var parsed = parseEntries(entries);
+    if (!parsed) {
+        return reply(callback, invalidScoreError());
+    }
+    return reply(callback, null, this._insert(key, parsed));
+};
+
+
+MemoryStore.prototype.count = function count(key, callback) {
+    return reply(callback, null, this._entries(key).length);
+};
+
+
+MemoryStore.prototype.rangeByRank = function rangeByRank(key, start, stop, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var entries = this._entries(key);
+    var slice = rankSlice(entries.length, start, stop);
+    return reply(callback, null, toValues(entries.slice(slice[0], slice[1]), options));
+};
+
+
+MemoryStore.prototype.rangeByScore = function rangeByScore(key, min, max, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var entries = this._entries(key);
+    var slice = scoreSlice(entries, min, max);
+    if (!slice) {
+        return reply(callback, new Error("ERR min or max is not a float"));
+    }
+    var values = toValues(entries.slice(slice[0], slice[1]), options);
+    return reply(callback, null, applyLimit(values, options));
+};
+
+
+MemoryStore.prototype.revRangeByScore = function revRangeByScore(key, max, min, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var entries = this._entries(key);
+    var slice = scoreSlice(entries, min, max);
+    if (!slice) {
+        return reply(callback, new Error("ERR min or max is not a float"));
+    }
+    var values = toValues(entries.slice(slice[0], slice[1]), options).reverse();
+    return reply(callback, null, applyLimit(values, options));
+};
+
+
+MemoryStore.prototype.rangeByScores = function rangeByScores(key, scores, callback) {
+    var entries = this._entries(key);
+    var results = [];
+    for (var i = 0; i < scores.length; i++) {
+        var slice = scoreSlice(entries, scores[i], scores[i]);
+        if (!slice) {
+            return reply(callback, new Error("ERR min or max is not a float"));
+        }
+        results.push(toValues(entries.slice(slice[0], slice[1])));
+    }
+    return reply(callback, null, results);
+};
+
+
+MemoryStore.prototype.removeRangeByRank = function removeRangeByRank(key, start, stop, callback) {
+    var slice = rankSlice(this._entries(key).length, start, stop);
+    return reply(callback, null, this._removeSlice(key, slice[0], slice[1]));
+};
+
+
+MemoryStore.prototype.removeRangeByScore = function removeRangeByScore(key, min, max, callback) {
+    var slice = scoreSlice(this._entries(key), min, max);
+    if (!slice) {
+        return reply(callback, new Error("ERR min or max is not a float"));
+    }
+    return reply(callback, null, this._removeSlice(key, slice[0], slice[1]));
+};
+
+
+MemoryStore.prototype.removeByScores = function removeByScores(key, scores, callback) {
+    var self = this;
+    var parsed = parseEntries(scores.map(function(score) {
+        return { score: score, value: "" };
+    }));
+    if (!parsed) {
+        return reply(callback, new Error("ERR min or max is not a float"));
+    }
+    var removed = parsed.reduce(function(sum, entry) {
+        var slice = scoreSlice(self._entries(key), entry.score, entry.score);
+        return sum + self._removeSlice(key, slice[0], slice[1]);
+    }, 0);
+    return reply(callback, null, removed);
+};
+
+
+MemoryStore.prototype.remove = function remove(key, values, callback) {
+    var set = this._getSet(key);
+    var removed = 0;
+    for (var i = 0; set && i < values.length; i++) {
+        var value = String(values[i]);
+        if (!(value in set.scores)) continue;
+        var index = bisect(set.entries, { score: set.scores[value], value: value });
+        this._removeSlice(key, index, index + 1);
+        removed++;
+        set = this._getSet(key);
+    }
+    return reply(callback, null, removed);
+};
+
+
+MemoryStore.prototype.popRangeByScore = function popRangeByScore(key, min, max, callback) {
+    var entries = this._entries(key);
+    var slice = scoreSlice(entries, min, max);
+    if (!slice) {
+        return reply(callback, new Error("ERR min or max is not a float"));
+    }
+    var popped = toValues(entries.slice(slice[0], slice[1]), { withScores: true });
+    this._removeSlice(key, slice[0], slice[1]);
+    return reply(callback, null, popped);
+};
+
+
+MemoryStore.prototype.replaceByScore = function replaceByScore(key, entries, callback) {
+    var self = this;
+    var parsed = parseEntries(entries);
+    if (!parsed) {
+        return reply(callback, invalidScoreError());
+    }
+    parsed.forEach(function(entry) {
+        var slice = scoreSlice(self._entries(key), entry.score, entry.score);
+        self._removeSlice(key, slice[0], slice[1]);
+    });
+    return reply(callback, null, this._insert(key, parsed));
+};
+
+
+MemoryStore.prototype.compareAndReplace = function compareAndReplace(key, score, expected, value, callback) {
+    var parsed = parseEntries([{ score: score, value: value }]);
+    if (!parsed) {
+        return reply(callback, invalidScoreError());
+    }
+    var entries = this._entries(key);
+    var slice = scoreSlice(entries, parsed[0].score, parsed[0].score);
+    var current = toValues(entries.slice(slice[0], slice[1]));
+    var matches = current.length === expected.length && current.every(function(v, index) {
+        return v === expected[index];
+    });
+    if (!matches) {
+        return reply(callback, null, false);
+    }
+    this._removeSlice(key, slice[0], slice[1]);
+    this._insert(key, parsed);
+    return reply(callback, null, true);
+};
+
+
+MemoryStore.prototype.trim = function trim(key, maxSize, minSize, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var debounce = options && options.debounce;
+    if (debounce && this._isLocked(debounce.key)) {
+        return reply(callback, null, null);
+    }
+    var size = this._entries(key).length;
+    if (size < maxSize) {
+        return reply(callback, null, untrimmed(size, options));
+    }
+    var slice = rankSlice(size, 0, -(minSize + 1));
+    return reply(callback, null, this._trimSlice(key, slice[0], slice[1], options));
+};
+
+
+MemoryStore.prototype.trimBytes = function trimBytes(key, maxBytes, minBytes, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var debounce = options && options.debounce;
+    if (debounce && this._isLocked(debounce.key)) {
+        return reply(callback, null, null);
+    }
+    var entries = this._entries(key);
+    var size = entries.length;
+    var total = 0;
+    var lengths = entries.map(function(entry) {
+        var length = Buffer.byteLength(entry.value, "utf8");
+        total += length;
+        return length;
+    });
+    if (total < maxBytes) {
+        return reply(callback, null, untrimmed(size, options));
+    }
+    var count = 0;
+    while (count < size && total > minBytes) {
+        total -= lengths[count];
+        count++;
+    }
+    return reply(callback, null, this._trimSlice(key, 0, count, options));
+};
+
+
+/**
+ * Remove the members in the slice [start, end) of the set at `key`, as
+ * part of trimming it, and return the {@link TrimResult}.
+ *
+ * @private
+ *
+ * @param {String} key
+ * @param {Number} start
+ * @param {Number} end
+ * @param {Object} [options] - see {@link Store#trim}
+ * @return {TrimResult}
+ */
+MemoryStore.prototype._trimSlice = function _trimSlice(key, start, end, options) {
+    var entries = this._entries(key);
+    var result = { before: entries.length };
+    if (options && options.withRemoved) {
+        result.removed = toValues(entries.slice(start, end), { withScores: true });
+    }
+    result.after = result.before - this._removeSlice(key, start, end);
+    if (options && options.debounce) {
+        this._locks[options.debounce.key] = Date.now() + options.debounce.ttl;
+    }
+    return result;
+};
+
+
+MemoryStore.prototype.rename = function rename(source, destination, callback) {
+    var set = this._getSet(source);
+    delete this._sets[source];
+    if (set) {
+        delete set.expiry;
+        this._sets[destination] = set;
+    } else {
+        delete this._sets[destination];
+    }
+    return reply(callback, null);
+};
+
+
+MemoryStore.prototype.expire = function expire(key, ttl, callback) {
+    var set = this._getSet(key);
+    if (set) {
+        set.expiry = Date.now() + ttl;
+    }
+    return reply(callback, null, set ? 1 : 0);
+};
+
+
+MemoryStore.prototype.acquireLease = function acquireLease(key, token, ttl, callback) {
+    var lease = this._leases[key];
+    if (lease && lease.token !== token && lease.expiry > Date.now()) {
+        return reply(callback, null, false);
+    }
+    this._leases[key] = { token: token, expiry: Date.now() + ttl };
+    return reply(callback, null, true);
+};
+
+
+MemoryStore.prototype.releaseLease = function releaseLease(key, token, callback) {
+    var lease = this._leases[key];
+    if (!lease || lease.token !== token) {
+        return reply(callback, null, false);
+    }
+    delete this._leases[key];
+    return reply(callback, null, lease.expiry > Date.now());
+};
+
+
+MemoryStore.prototype.del = function del(key, callback) {
+    var existed = Boolean(this._getSet(key));
+    delete this._sets[key];
+    return reply(callback, null, existed ? 1 : 0);
+};
@@ -0,0 +1,432 @@
+/**
+ * @description
+ * A {@link Store} backed by a Redis server, using its Sorted Set
+ * data-structure.
+ */
+
+
+"use strict";
+
+
+// exporting the Constructor
+exports = module.exports = RedisStore;
+exports.RedisStore = RedisStore;
+
+
+// built-in modules
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+
+
+// npm-installed modules
+var debug = require("debug")("ss-interface:stores:redis");
+
+
+// module variables
+var scripts = {
+    acquireLease: loadScript("acquire-lease"),
+    compareAndReplace: loadScript("compare-and-replace"),
+    popRangeByScore: loadScript("pop-range-by-score"),
+    releaseLease: loadScript("release-lease"),
+    rename: loadScript("rename"),
+    replaceByScore: loadScript("replace-by-score"),
+    trim: loadScript("trim"),
+    trimBytes: loadScript("trim-bytes"),
+};
+
+
+/**
+ * Create a new Redis store.
+ *
+ * @constructor
+ * @public
+ * @implements {Store}
+ *
+ * @param {RedisClient} client - client from the `redis` module
+ */
+function RedisStore(client) {
+    debug("constructing new redis store");
+    this._client = client;
+}
+
+
+/**
+ * Load a Lua script from the `lua/` directory.
+ *
+ * @private
+ *
+ * @param {String} name - name of the script, without the extension
+ * @return {Object} script - `{ source, sha }`
+ */
+function loadScript(name) {
+    var source = fs.readFileSync(path.join(__dirname, "lua", name + ".lua"), "utf8");
+    return {
+        source: source,
+        sha: crypto.createHash("sha1").update(source).digest("hex"),
+    };
+}
+
+
+/**
+ * Convert a score bound into its Redis representation.
+ *
+ * @private
+ *
+ * @param {Number} score
+ * @return {Number|String}
+ */
+function toScore(score) {
+    if (score === +Infinity) return "+inf";
+    if (score === -Infinity) return "-inf";
+    return score;
+}
+
+
+/**
+ * Parse a score, as returned by Redis.
+ *
+ * @private
+ *
+ * @param {String} score
+ * @return {Number}
+ */
+function parseScore(score) {
+    if (score === "inf" || score === "+inf") return +Infinity;
+    if (score === "-inf") return -Infinity;
+    return Number(score);
+}
+
+
+/**
+ * Convert the reply of a command invoked with `WITHSCORES` into an
+ * array of entries.
+ *
+ * @private
+ *
+ * @param {String[]} reply
+ * @return {Entry[]}
+ */
+function parseEntries(reply) {
+    var entries = [];
+    for (var i = 0; i < reply.length; i += 2) {
+        entries.push({ value: reply[i], score: parseScore(reply[i + 1]) });
+    }
+    return entries;
+}
+
+
+/**
+ * Return a callback that converts the reply of a command invoked with
+ * `WITHSCORES` into an array of entries.
+ *
+ * @private
+ *
+ * @param {Function} callback - callback(err, entries)
+ * @return {Function}
+ */
+function toEntries(callback) {
+    return function(err, reply) {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, parseEntries(reply));
+    };
+}
+
+
+/**
+ * Append the `WITHSCORES` argument, if required, to `args`, and return
+ * the callback to use with the command.
+ *
+ * @private
+ *
+ * @param {Array} args - command arguments
+ * @param {RangeOptions} [options]
+ * @param {Function} callback
+ * @return {Function} callback
+ */
+function withScores(args, options, callback) {
+    if (!options || !options.withScores) {
+        return callback;
+    }
+    args.push("WITHSCORES");
+    return toEntries(callback);
+}
+
+
+/**
+ * Return a callback for `Batch#exec()`. Errors of individual commands
+ * are returned in the replies, rather than as the error; the first of
+ * these is passed to `callback` as the error.
+ *
+ * @private
+ *
+ * @param {Function} callback - callback(err, replies)
+ * @return {Function}
+ */
+function batchCallback(callback) {
+    return function(err, replies) {
+        if (err) {
+            return callback(err);
+        }
+        for (var i = 0; i < replies.length; i++) {
+            if (replies[i] instanceof Error) {
+                return callback(replies[i]);
+            }
+        }
+        return callback(null, replies);
+    };
+}
+
+
+/**
+ * Append the `LIMIT` arguments, if any, to `args`.
+ *
+ * @private
+ *
+ * @param {Array} args - command arguments
+ * @param {RangeOptions} [options]
+ * @return {Array} args
+ */
+function pushLimit(args, options) {
+    if (!options || (options.offset === undefined && options.count === undefined)) {
+        return args;
+    }
+    var count = options.count === undefined ? -1 : options.count;
+    args.push("LIMIT", options.offset || 0, count);
+    return args;
+}
+
+
+/**
+ * Run a Lua script, atomically. The script is invoked using its SHA1
+ * digest, and is only sent over, if Redis has not cached it yet.
+ *
+ * @private
+ *
+ * @param {Object} script - see {@link loadScript}
+ * @param {String[]} keys
+ * @param {Array} args
+ * @param {Function} [callback] - callback(err, reply)
+ */
+RedisStore.prototype._eval = function _eval(script, keys, args, callback) {
+    var self = this;
+    var params = [keys.length].concat(keys, args);
+    return this._client.evalsha([script.sha].concat(params), function(err, reply) {
+        if (err && /^NOSCRIPT/.test(err.message)) {
+            debug("script not cached; sending it over");
+            return self._client.eval([script.source].concat(params), callback);
+        }
+        if (callback) {
+            return callback(err, reply);
+        }
+        return null;
+    });
+};
+
+
+RedisStore.prototype.add = function add(key, entries, callback) {
+    var args = [key];
+    for (var i = 0; i < entries.length; i++) {
+        args.push(entries[i].score, entries[i].value);
+    }
+    return this._client.zadd(args, callback);
+};
+
+
+RedisStore.prototype.count = function count(key, callback) {
+    return this._client.zcard(key, callback);
+};
+
+
+RedisStore.prototype.rangeByRank = function rangeByRank(key, start, stop, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var args = [key, start, stop];
+    callback = withScores(args, options, callback);
+    return this._client.zrange(args, callback);
+};
+
+
+RedisStore.prototype.rangeByScore = function rangeByScore(key, min, max, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var args = [key, toScore(min), toScore(max)];
+    callback = withScores(args, options, callback);
+    pushLimit(args, options);
+    return this._client.zrangebyscore(args, callback);
+};
+
+
+RedisStore.prototype.revRangeByScore = function revRangeByScore(key, max, min, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    var args = [key, toScore(max), toScore(min)];
+    callback = withScores(args, options, callback);
+    pushLimit(args, options);
+    return this._client.zrevrangebyscore(args, callback);
+};
+
+
+RedisStore.prototype.rangeByScores = function rangeByScores(key, scores, callback) {
+    var batch = this._client.batch();
+    for (var i = 0; i < scores.length; i++) {
+        batch.zrangebyscore(key, toScore(scores[i]), toScore(scores[i]));
+    }
+    return batch.exec(batchCallback(callback));
+};
+
+
+RedisStore.prototype.removeByScores = function removeByScores(key, scores, callback) {
+    var batch = this._client.batch();
+    for (var i = 0; i < scores.length; i++) {
+        batch.zremrangebyscore(key, toScore(scores[i]), toScore(scores[i]));
+    }
+    return batch.exec(batchCallback(function(err, replies) {
+        if (!callback) {
+            return null;
+        }
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, replies.reduce(function(sum, removed) {
+            return sum + removed;
+        }, 0));
+    }));
+};
+
+
+RedisStore.prototype.remove = function remove(key, values, callback) {
+    return this._client.zrem([key].concat(values), callback);
+};
+
+
+RedisStore.prototype.popRangeByScore = function popRangeByScore(key, min, max, callback) {
+    return this._eval(scripts.popRangeByScore, [key], [toScore(min), toScore(max)], toEntries(callback));
+};
+
+
+RedisStore.prototype.replaceByScore = function replaceByScore(key, entries, callback) {
+    var args = [];
+    for (var i = 0; i < entries.length; i++) {
+        args.push(toScore(entries[i].score), entries[i].value);
+    }
+    return this._eval(scripts.replaceByScore, [key], args, callback);
+};
+
+
+RedisStore.prototype.compareAndReplace = function compareAndReplace(key, score, expected, value, callback) {
+    var args = [toScore(score), value].concat(expected);
+    return this._eval(scripts.compareAndReplace, [key], args, function(err, reply) {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, reply === 1);
+    });
+};
+
+
+RedisStore.prototype.removeRangeByRank = function removeRangeByRank(key, start, stop, callback) {
+    return this._client.zremrangebyrank(key, start, stop, callback);
+};
+
+
+RedisStore.prototype.removeRangeByScore = function removeRangeByScore(key, min, max, callback) {
+    return this._client.zremrangebyscore(key, toScore(min), toScore(max), callback);
+};
+
+
+RedisStore.prototype.trim = function trim(key, maxSize, minSize, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    return this._trim(scripts.trim, key, maxSize, minSize, options, callback);
+};
+
+
+RedisStore.prototype.trimBytes = function trimBytes(key, maxBytes, minBytes, options, callback) {
+    if (!callback) {
+        callback = options;
+        options = null;
+    }
+    return this._trim(scripts.trimBytes, key, maxBytes, minBytes, options, callback);
+};
+
+
+/**
+ * Run one of the trimming scripts. See {@link Store#trim}.
+ *
+ * @private
+ *
+ * @param {Object} script - see {@link loadScript}
+ * @param {String} key
+ * @param {Number} max - upper bound, triggering the trimming
+ * @param {Number} min - bound to trim to
+ * @param {Object} [options]
+ * @param {Function} callback - callback(err, trimResult)
+ */
+RedisStore.prototype._trim = function _trim(script, key, max, min, options, callback) {
+    var debounce = options && options.debounce;
+    var keys = debounce ? [key, debounce.key] : [key];
+    var withRemoved = Boolean(options && options.withRemoved);
+    var args = [max, min, debounce ? debounce.ttl : 0, withRemoved ? 1 : 0];
+    return this._eval(script, keys, args, function(err, reply) {
+        if (err) {
+            return callback(err);
+        }
+        if (!reply) {
+            return callback(null, null);
+        }
+        var result = { before: reply[0], after: reply[1] };
+        if (withRemoved) {
+            result.removed = parseEntries(reply[2]);
+        }
+        return callback(null, result);
+    });
+};
+
+
+RedisStore.prototype.rename = function rename(source, destination, callback) {
+    return this._eval(scripts.rename, [source, destination], [], callback);
+};
+
+
+RedisStore.prototype.expire = function expire(key, ttl, callback) {
+    return this._client.pexpire(key, ttl, callback);
+};
+
+
+RedisStore.prototype.acquireLease = function acquireLease(key, token, ttl, callback) {
+    return this._eval(scripts.acquireLease, [key], [token, ttl], function(err, reply) {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, reply === 1);
+    });
+};
+
+
+RedisStore.prototype.releaseLease = function releaseLease(key, token, callback) {
+    return this._eval(scripts.releaseLease, [key], [token], function(err, reply) {
+        if (!callback) {
+            return null;
+        }
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, reply === 1);
+    });
+};
+
+
+RedisStore.prototype.del = function del(key, callback) {
+    return this._client.del(key, callback);
+};
@@ -0,0 +1,178 @@
+/**
+ * @description
+ * Utilities shared by the interfaces.
+ */
+
+
+"use strict";
+
+
+exports = module.exports = {
+    checkConfig: checkConfig,
+    compareValues: compareValues,
+    isBound: isBound,
+    isCount: isCount,
+    isId: isId,
+    mergePatch: mergePatch,
+    promisify: promisify,
+};
+
+
+// own modules
+var errors = require("./errors");
+
+
+/**
+ * Check configuration values, throwing on the first invalid one. Each
+ * check is an array `[name, isValid, expectation]` e.g.
+ * `["batch_size", isCount(config.batch_size), "a positive integer"]`.
+ *
+ * @param {Object} config - configuration values
+ * @param {Array[]} checks
+ * @throws {ConfigurationError} if any of the values is invalid
+ */
+function checkConfig(config, checks) {
+    for (var i = 0; i < checks.length; i++) {
+        var name = checks[i][0];
+        if (!checks[i][1]) {
+            var message = "config." + name + " must be " + checks[i][2] + "; got " + config[name];
+            throw new errors.ConfigurationError(message, { option: name, value: config[name] });
+        }
+    }
+}
+
+
+/**
+ * Compare two strings byte-wise, as Redis does. Comparing UTF-16 code
+ * units directly orders surrogate pairs before the code points
+ * U+E000 to U+FFFF, which is not the case with UTF-8 bytes. We fix up
+ * the first differing code units to get code point (i.e. UTF-8) order.
+ *
+ * @param {String} a
+ * @param {String} b
+ * @return {Number}
+ */
+function compareValues(a, b) {
+    if (a === b) return 0;
+    var len = Math.min(a.length, b.length);
+    for (var i = 0; i < len; i++) {
+        var ca = a.charCodeAt(i);
+        var cb = b.charCodeAt(i);
+        if (ca !== cb) {
+            return fixup(ca) - fixup(cb);
+        }
+    }
+    return a.length - b.length;
+
+    function fixup(c) {
+        if (c >= 0xE000) return c - 0x800;
+        if (c >= 0xD800) return c + 0x2000;
+        return c;
+    }
+}
+
+
+/**
+ * Return `true` if `id` is a valid item ID i.e. a finite Number, or
+ * a String representing one.
+ *
+ * @param {*} id
+ * @return {Boolean}
+ */
+function isId(id) {
+    return isBound(id) && isFinite(Number(id));
+}
+
+
+/**
+ * Return `true` if `bound` is a valid bound for a range of IDs i.e.
+ * a valid ID, `-Infinity` or `+Infinity`.
+ *
+ * @param {*} bound
+ * @return {Boolean}
+ */
+function isBound(bound) {
+    if (typeof bound === "number") {
+        return !isNaN(bound);
+    }
+    if (typeof bound === "string") {
+        return bound.trim() !== "" && !isNaN(Number(bound));
+    }
+    return false;
+}
+
+
+/**
+ * Return `true` if `count` is a valid number of items i.e. a positive
+ * integer, or `+Infinity`.
+ *
+ * @param {*} count
+ * @return {Boolean}
+ */
+function isCount(count) {
+    return typeof count === "number" && count > 0 && (count === +Infinity || count % 1 === 0);
+}
+
+
+/**
+ * Apply a JSON merge patch (RFC 7386) to `target`. Properties of `patch`
+ * that are objects are merged recursively; `null` properties are removed
+ * from the target; other values (including arrays) replace those in the
+ * target. `target` is not modified.
+ *
+ * @param {*} target
+ * @param {*} patch
+ * @return {*} the patched value
+ */
+function mergePatch(target, patch) {
+    if (!isObject(patch)) {
+        return patch;
+    }
+    var result = { };
+    if (isObject(target)) {
+        Object.keys(target).forEach(function(name) {
+            result[name] = target[name];
+        });
+    }
+    Object.keys(patch).forEach(function(name) {
+        if (patch[name] === null) {
+            delete result[name];
+        } else {
+            result[name] = mergePatch(result[name], patch[name]);
+        }
+    });
+    return result;
+
+    function isObject(value) {
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+    }
+}
+
+
+/**
+ * Run the asynchronous function `fn`, passing it a callback. If the user
+ * passed a `callback`, it is used as is, and `undefined` is returned.
+ * Otherwise, a Promise is returned, that is settled once `fn` invokes
+ * its callback. The Promise is rejected with the same error that would
+ * have been passed to the callback.
+ *
+ * @private
+ *
+ * @param {Function} fn - fn(done)
+ * @param {Function} [callback] - user's callback
+ * @return {Promise|undefined}
+ */
+function promisify(fn, callback) {
+    if (callback) {
+        fn(callback);
+        return undefined;
+    }
+    return new Promise(function(resolve, reject) {
+        fn(function(err, result) {
+            if (err) {
+                return reject(err);
+            }
+            return resolve(result);
+        });
+    });
+}
@@ -12,6 +12,7 @@ var should = require("should");
 
 // own modules
 var Client = require("../lib/client");
+var errors = require("../lib/errors");
 var utils = require("./utils");
 var server, client;
 var config = {
@@ -45,17 +46,63 @@ describe("Client module", function() {
 describe("Client constructor", function() {
     it("allows configurations be left out", function() {
         should.doesNotThrow(function() {
-            return new Client(utils.getRedisClient());
+            return new Client(utils.getStore());
         });
     });
 
     it("returns an instance of Client", function() {
-        var myClient = new Client(utils.getRedisClient());
+        var myClient = new Client(utils.getStore());
         should(myClient).be.an.instanceOf(Client);
     });
 });
 
 
+describe("Client configuration", function() {
+    it("throws ConfigurationError on invalid values", function() {
+        [
+            { batch_size: 0 },
+            { parseErrors: "ignore" },
+            { max_items: -1 },
+        ].forEach(function(invalid) {
+            should.throws(function() {
+                return new Client(utils.getStore(), invalid);
+            }, errors.ConfigurationError);
+        });
+    });
+
+    it("does not modify the configuration passed", function() {
+        var myConfig = { key: "test:Client:config" };
+        var myClient = new Client(utils.getStore(), myConfig);
+        should(myClient).be.an.instanceOf(Client);
+        should.deepEqual(myConfig, { key: "test:Client:config" });
+    });
+});
+
+
+describe("Client#reconfigure", function() {
+    it("changes the configuration, at runtime", function(done) {
+        var myClient = new Client(utils.getStore(), config);
+        server.add(utils.newItems(5), function(err) {
+            should(err).not.be.ok();
+            should(myClient.reconfigure({ batch_size: 2 })).equal(myClient);
+            myClient.get(function(getErr, items) {
+                should(getErr).not.be.ok();
+                should(items.length).equal(2);
+                return done();
+            });
+        });
+    });
+
+    it("leaves the configuration as is, if a value is invalid", function() {
+        var myClient = new Client(utils.getStore(), config);
+        should.throws(function() {
+            myClient.reconfigure({ batch_size: -1 });
+        }, errors.ConfigurationError);
+        should(myClient._batch_size).equal(config.batch_size);
+    });
+});
+
+
 describe("Client#get", function() {
     function pump(items, getOptions, cb) {
         if (!cb) {
@@ -149,6 +196,15 @@ describe("Client#get", function() {
         });
     });
 
+    it("returns a Promise if callback is left out", function() {
+        var items = [{ id: 1 }, { id: 2 }];
+        return server.add(items).then(function() {
+            return client.get({ id: 2 });
+        }).then(function(ret) {
+            should.deepEqual(utils.parse(ret), [{ id: 2 }]);
+        });
+    });
+
     it("returns new items from options.id to +Infinity", function(done) {
         var items = utils.newItems(30);
         pump(items, { id: 1 }, function(ret) {
@@ -157,3 +213,466 @@ describe("Client#get", function() {
         });
     });
 });
+
+
+describe("Client#get parsing", function() {
+    var items = [{ id: 1, data: "one" }, { id: 2, data: "two" }];
+
+    function pumpRaw(values, done) {
+        server.add(items, function(err) {
+            should(err).not.be.ok();
+            server.addOne(3, values, function(addErr) {
+                should(addErr).not.be.ok();
+                return done();
+            });
+        });
+    }
+
+    it("returns strings by default", function(done) {
+        server.add(items, function(err) {
+            should(err).not.be.ok();
+            client.get(function(getErr, ret) {
+                should(getErr).not.be.ok();
+                should(ret[0]).be.a.String();
+                return done();
+            });
+        });
+    });
+
+    it("parses items using JSON.parse, if config.parse is true", function(done) {
+        var parsingClient = utils.getCacheClient({ key: config.key, parse: true });
+        server.add(items, function(err) {
+            should(err).not.be.ok();
+            parsingClient.get(function(getErr, ret) {
+                should(getErr).not.be.ok();
+                should.deepEqual(ret, items);
+                return done();
+            });
+        });
+    });
+
+    it("parses items using config.parse, if a function", function(done) {
+        var parsingClient = utils.getCacheClient({
+            key: config.key,
+            parse: function(item) {
+                return JSON.parse(item).data;
+            },
+        });
+        server.add(items, function(err) {
+            should(err).not.be.ok();
+            parsingClient.get(function(getErr, ret) {
+                should(getErr).not.be.ok();
+                should.deepEqual(ret, ["one", "two"]);
+                return done();
+            });
+        });
+    });
+
+    it("passes an error, for items that fail to parse, by default", function(done) {
+        var parsingClient = utils.getCacheClient({ key: config.key, parse: true });
+        pumpRaw("not json", function() {
+            parsingClient.get(function(getErr) {
+                should(getErr).be.an.instanceOf(errors.InvalidItemError);
+                should(getErr.item).equal("not json");
+                should(getErr.cause).be.an.instanceOf(SyntaxError);
+                return done();
+            });
+        });
+    });
+
+    it("skips items that fail to parse, if config.parseErrors is 'skip'", function(done) {
+        var parsingClient = utils.getCacheClient({ key: config.key, parse: true, parseErrors: "skip" });
+        pumpRaw("not json", function() {
+            parsingClient.get(function(getErr, ret) {
+                should(getErr).not.be.ok();
+                should.deepEqual(ret, items);
+                return done();
+            });
+        });
+    });
+
+    it("returns raw items that fail to parse, if config.parseErrors is 'raw'", function(done) {
+        var parsingClient = utils.getCacheClient({ key: config.key, parse: true, parseErrors: "raw" });
+        pumpRaw("not json", function() {
+            parsingClient.get(function(getErr, ret) {
+                should(getErr).not.be.ok();
+                should.deepEqual(ret, items.concat("not json"));
+                return done();
+            });
+        });
+    });
+});
+
+
+describe("Client#get pagination", function() {
+    var paging = { key: config.key, batch_size: 2, parse: true, paginate: true };
+    var pagingClient;
+
+    before(function() {
+        pagingClient = utils.getCacheClient(paging);
+    });
+
+    it("returns a page if options.paginate is true", function(done) {
+        server.add(utils.newItems(3), function(err) {
+            should(err).not.be.ok();
+            client.get({ paginate: true }, function(getErr, page) {
+                should(getErr).not.be.ok();
+                should(page.items.length).equal(3);
+                should(page.nextCursor).be.a.String();
+                should(page.prevCursor).be.a.String();
+                should(page.hasMore).equal(false);
+                return done();
+            });
+        });
+    });
+
+    it("returns the latest items, reporting if there are older items", function() {
+        return server.add(utils.newItems(5)).then(function() {
+            return pagingClient.get();
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 4 }, { id: 5 }]);
+            should(page.hasMore).equal(true);
+        });
+    });
+
+    it("pages backwards, using prevCursor, without repeating items", function() {
+        return server.add(utils.newItems(5)).then(function() {
+            return pagingClient.get();
+        }).then(function(page) {
+            return pagingClient.get({ cursor: page.prevCursor });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 2 }, { id: 3 }]);
+            should(page.hasMore).equal(true);
+            return pagingClient.get({ cursor: page.prevCursor });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 1 }]);
+            should(page.hasMore).equal(false);
+        });
+    });
+
+    it("pages forwards, using nextCursor, without repeating items", function() {
+        return server.add(utils.newItems(5)).then(function() {
+            return pagingClient.get({ id: 1 });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 1 }, { id: 2 }]);
+            should(page.hasMore).equal(true);
+            return pagingClient.get({ cursor: page.nextCursor });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 3 }, { id: 4 }]);
+            return pagingClient.get({ cursor: page.nextCursor });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 5 }]);
+            should(page.hasMore).equal(false);
+            return pagingClient.get({ cursor: page.nextCursor });
+        }).then(function(page) {
+            should(page.items.length).equal(0);
+            return server.addOne({ id: 6 }).then(function() {
+                return pagingClient.get({ cursor: page.nextCursor });
+            });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 6 }]);
+        });
+    });
+
+    it("handles items sharing an ID", function() {
+        var items = [
+            { id: 1, data: "a" },
+            { id: 2, data: "a" },
+            { id: 2, data: "b" },
+            { id: 2, data: "c" },
+            { id: 3, data: "a" },
+        ];
+        var seen = [];
+        return server.add(items).then(function() {
+            return pagingClient.get({ id: 1 });
+        }).then(function(page) {
+            seen = seen.concat(page.items);
+            return pagingClient.get({ cursor: page.nextCursor });
+        }).then(function(page) {
+            seen = seen.concat(page.items);
+            return pagingClient.get({ cursor: page.nextCursor });
+        }).then(function(page) {
+            seen = seen.concat(page.items);
+            should.deepEqual(seen, items);
+            return pagingClient.get({ cursor: page.prevCursor });
+        }).then(function(page) {
+            should.deepEqual(page.items, [items[2], items[3]]);
+        });
+    });
+
+    it("returns older items, if options.newer === false", function() {
+        return server.add(utils.newItems(5)).then(function() {
+            return pagingClient.get({ id: 3, newer: false });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 2 }, { id: 3 }]);
+            should(page.hasMore).equal(true);
+        });
+    });
+
+    it("passes an error for invalid cursors", function() {
+        return pagingClient.get({ cursor: "invalid" }).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            should(err).be.an.instanceOf(Error);
+        });
+    });
+});
+
+
+describe("Client#get bounded forward reads", function() {
+    it("applies the batch size to forward reads, if options.bounded is true", function(done) {
+        server.add(utils.newItems(20), function(err) {
+            should(err).not.be.ok();
+            client.get({ id: 1, bounded: true }, function(getErr, items, info) {
+                should(getErr).not.be.ok();
+                should.deepEqual(utils.parse(items), utils.newItems(config.batch_size));
+                should(info.truncated).equal(true);
+                return done();
+            });
+        });
+    });
+
+    it("applies the batch size to forward reads, if config.bounded is true", function(done) {
+        var boundedClient = utils.getCacheClient({ key: config.key, batch_size: 3, bounded: true });
+        server.add(utils.newItems(3), function(err) {
+            should(err).not.be.ok();
+            boundedClient.get({ id: 1 }, function(getErr, items, info) {
+                should(getErr).not.be.ok();
+                should(items.length).equal(3);
+                should(info.truncated).equal(false);
+                return done();
+            });
+        });
+    });
+
+    it("applies options.max_items to forward reads", function(done) {
+        server.add(utils.newItems(20), function(err) {
+            should(err).not.be.ok();
+            client.get({ id: 1, max_items: 12 }, function(getErr, items, info) {
+                should(getErr).not.be.ok();
+                should(items.length).equal(12);
+                should(info.truncated).equal(true);
+                return done();
+            });
+        });
+    });
+
+    it("resolves Promises with the items and the truncated flag, if options.withInfo is set", function() {
+        return server.add(utils.newItems(20)).then(function() {
+            return client.get({ id: 1, bounded: true, withInfo: true });
+        }).then(function(result) {
+            should.deepEqual(utils.parse(result.items), utils.newItems(config.batch_size));
+            should(result.truncated).equal(true);
+            return client.get({ from: 19, withInfo: true });
+        }).then(function(result) {
+            should(result.items.length).equal(2);
+            should(result.truncated).equal(false);
+            return client.get({ id: 19, withInfo: true });
+        }).then(function(result) {
+            should(result.items.length).equal(2);
+            should(result.truncated).equal(false);
+        });
+    });
+
+    it("resolves Promises with the items only, whether the read is limited or not", function() {
+        return server.add(utils.newItems(20)).then(function() {
+            return client.get({ id: 1, bounded: true });
+        }).then(function(result) {
+            should.deepEqual(utils.parse(result), utils.newItems(config.batch_size));
+            return client.get({ from: 19 });
+        }).then(function(result) {
+            should(result.length).equal(2);
+        });
+    });
+
+    it("applies config.max_items to pages", function() {
+        var cappedClient = utils.getCacheClient({ key: config.key, max_items: 2, paginate: true });
+        return server.add(utils.newItems(5)).then(function() {
+            return cappedClient.get({ id: 1 });
+        }).then(function(page) {
+            should(page.items.length).equal(2);
+            should(page.hasMore).equal(true);
+        });
+    });
+});
+
+
+describe("Client#get range queries", function() {
+    function pump(getOptions, cb) {
+        server.add(utils.newItems(10), function(err) {
+            should(err).not.be.ok();
+            client.get(getOptions, function(getErr, items, info) {
+                should(getErr).not.be.ok();
+                return cb(utils.parse(items), info);
+            });
+        });
+    }
+
+    it("returns items between options.from and options.to (inclusive)", function(done) {
+        pump({ from: 2, to: 4 }, function(items) {
+            should.deepEqual(items, [{ id: 2 }, { id: 3 }, { id: 4 }]);
+            return done();
+        });
+    });
+
+    it("excludes the bounds, if options.fromExclusive and options.toExclusive are set", function(done) {
+        pump({ from: 2, to: 4, fromExclusive: true, toExclusive: true }, function(items) {
+            should.deepEqual(items, [{ id: 3 }]);
+            return done();
+        });
+    });
+
+    it("allows leaving out either bound", function(done) {
+        pump({ to: 2, toExclusive: true }, function(items) {
+            should.deepEqual(items, [{ id: 1 }]);
+            pump({ from: 9, fromExclusive: true }, function(items2) {
+                should.deepEqual(items2, [{ id: 10 }]);
+                return done();
+            });
+        });
+    });
+
+    it("respects the batch size, returning the oldest items first", function(done) {
+        pump({ from: 1, to: 10 }, function(items, info) {
+            should.deepEqual(items, utils.newItems(config.batch_size));
+            should(info.truncated).equal(true);
+            return done();
+        });
+    });
+});
+
+
+describe("Client#get with IDs", function() {
+    var items = [{ id: 1, data: "one" }, { id: 2, data: "two" }];
+
+    it("returns items with their IDs, if options.withIds is true", function(done) {
+        server.add(items, function(err) {
+            should(err).not.be.ok();
+            client.get({ withIds: true }, function(getErr, ret) {
+                should(getErr).not.be.ok();
+                should(ret.length).equal(2);
+                should(ret[0].id).equal(1);
+                should.deepEqual(JSON.parse(ret[0].value), items[0]);
+                return done();
+            });
+        });
+    });
+
+    it("parses the values, if configured to", function() {
+        var parsingClient = utils.getCacheClient({ key: config.key, parse: true, withIds: true });
+        return server.add(items).then(function() {
+            return parsingClient.get({ id: 2 });
+        }).then(function(ret) {
+            should.deepEqual(ret, [{ id: 2, value: items[1] }]);
+            return parsingClient.get({ from: 1, to: 1 });
+        }).then(function(ret) {
+            should.deepEqual(ret, [{ id: 1, value: items[0] }]);
+            return parsingClient.get({ id: 2, newer: false });
+        }).then(function(ret) {
+            should.deepEqual(ret, [{ id: 1, value: items[0] }, { id: 2, value: items[1] }]);
+        });
+    });
+
+    it("returns items with their IDs, in pages", function() {
+        return server.addOne(5, "item 5").then(function() {
+            return client.get({ withIds: true, paginate: true });
+        }).then(function(page) {
+            should.deepEqual(page.items, [{ id: 5, value: "item 5" }]);
+        });
+    });
+});
+
+
+describe("Client#getOne", function() {
+    it("returns the item at the ID", function(done) {
+        server.add(utils.newItems(3), function(err) {
+            should(err).not.be.ok();
+            client.getOne(2, function(getErr, lookup) {
+                should(getErr).not.be.ok();
+                should(lookup.id).equal(2);
+                should.deepEqual(JSON.parse(lookup.value), { id: 2 });
+                should(lookup.values.length).equal(1);
+                should(lookup.duplicate).equal(false);
+                return done();
+            });
+        });
+    });
+
+    it("returns null, if no item is found", function() {
+        return client.getOne(404).then(function(lookup) {
+            should(lookup).equal(null);
+        });
+    });
+
+    it("says so explicitly, if several items share the ID", function() {
+        return server.add([{ id: 1, data: "b" }, { id: 1, data: "a" }]).then(function() {
+            return client.getOne(1);
+        }).then(function(lookup) {
+            should(lookup.duplicate).equal(true);
+            should(lookup.value).equal(undefined);
+            should.deepEqual(utils.parse(lookup.values), [{ id: 1, data: "a" }, { id: 1, data: "b" }]);
+        });
+    });
+});
+
+
+describe("Client#getMany", function() {
+    it("returns the items at the IDs, in order", function() {
+        var parsingClient = utils.getCacheClient({ key: config.key, parse: true });
+        return server.add(utils.newItems(5)).then(function() {
+            return parsingClient.getMany([4, 404, 2]);
+        }).then(function(lookups) {
+            should(lookups.length).equal(3);
+            should.deepEqual(lookups[0].value, { id: 4 });
+            should(lookups[1]).equal(null);
+            should.deepEqual(lookups[2].value, { id: 2 });
+        });
+    });
+
+    it("returns an empty array, if no IDs are passed", function(done) {
+        client.getMany([], function(err, lookups) {
+            should(err).not.be.ok();
+            should.deepEqual(lookups, []);
+            return done();
+        });
+    });
+});
+
+
+describe("Client input validation", function() {
+    it("rejects invalid IDs", function(done) {
+        client.get({ id: "abc" }, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidIdError);
+            client.getOne({}, function(getErr) {
+                should(getErr).be.an.instanceOf(errors.InvalidIdError);
+                client.getMany([1, "abc"], function(getManyErr) {
+                    should(getManyErr).be.an.instanceOf(errors.InvalidIdError);
+                    should(getManyErr.index).equal(1);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("rejects invalid options", function() {
+        return client.get({ batch_size: -1 }).then(function() {
+            throw new Error("should have failed");
+        }, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidArgumentError);
+        });
+    });
+
+    it("rejects infinite batch sizes", function(done) {
+        client.get({ batch_size: Infinity }, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidArgumentError);
+            return done();
+        });
+    });
+
+    it("rejects invalid cursors", function(done) {
+        client.get({ cursor: "invalid" }, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidArgumentError);
+            return done();
+        });
+    });
+});
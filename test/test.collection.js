@@ -12,6 +12,8 @@ var should = require("should");
 
 // own modules
 var Collection = require("../lib/collection");
+var errors = require("../lib/errors");
+var MemoryStore = require("../lib/stores/memory");
 var utils = require("./utils");
 
 
@@ -63,6 +65,25 @@ describe("Collection#Constructor", function() {
         var myCollection = new Collection();
         should(myCollection).be.an.instanceOf(Collection);
     });
+
+    it("does not modify the configurations passed", function() {
+        var configurations = {};
+        var myCollection = new Collection(configurations);
+        should(myCollection._configurations).not.equal(configurations);
+        should.deepEqual(configurations, {});
+    });
+
+    it("throws if refreshInterval is not a positive number", function() {
+        should.throws(function() {
+            return new Collection({ refreshInterval: -1 });
+        }, errors.ConfigurationError);
+    });
+
+    it("throws if leaseTtl is not a positive integer", function() {
+        should.throws(function() {
+            return new Collection({ leaseTtl: 1.5 });
+        }, errors.ConfigurationError);
+    });
 });
 
 
@@ -72,7 +93,30 @@ describe("Collection#_chooser", function() {
     it("throws an error if not configured yet", function() {
         should.throws(function() {
             collection._chooser();
-        });
+        }, errors.ConfigurationError);
+    });
+});
+
+
+describe("Collection input validation", function() {
+    var collection = new Collection();
+
+    it("rejects invalid caches", function() {
+        should.throws(function() {
+            collection.addCache("mine", {}, noop);
+        }, errors.InvalidArgumentError);
+        should.throws(function() {
+            collection.addCache("mine", server);
+        }, errors.InvalidArgumentError);
+    });
+
+    it("rejects invalid switch functions and sources", function() {
+        should.throws(function() {
+            collection.switch("not a function");
+        }, errors.InvalidArgumentError);
+        should.throws(function() {
+            collection.addSource({});
+        }, errors.InvalidArgumentError);
     });
 });
 
@@ -102,6 +146,199 @@ describe("Collection#getCache", function() {
 });
 
 
+describe("Collection#removeCache", function() {
+    var collection;
+
+    beforeEach(function() {
+        collection = new Collection({
+            refreshInterval: 50,
+        });
+    });
+
+    afterEach(function() {
+        collection.stopRefreshInterval();
+    });
+
+    it("removes the cache from the collection", function() {
+        collection.addCache("mine", server, noop);
+        should(collection.removeCache("mine")).equal(collection);
+        should(collection.getCache("mine")).equal(undefined);
+    });
+
+    it("ignores caches that do not exist", function() {
+        should.doesNotThrow(function() {
+            collection.removeCache("not to be found");
+        });
+    });
+
+    it("stops refreshing the cache", function(done) {
+        var called = 0;
+        collection.addCache("mine", server, function(id, next) {
+            called++;
+            return next(null, []);
+        });
+        collection.startRefreshInterval();
+        collection.removeCache("mine");
+        setTimeout(function() {
+            should(called).equal(1);
+            return done();
+        }, 150);
+    });
+
+    it("discards the items of a refresh in progress", function(done) {
+        var repopulated = false;
+        var cache = {
+            addOne: server.addOne.bind(server),
+            repopulate: function() {
+                repopulated = true;
+            },
+        };
+        collection.addCache("mine", cache, function(id, next) {
+            collection.removeCache("mine");
+            return next(null, [{ id: 1 }]);
+        });
+        collection.startRefreshInterval();
+        setTimeout(function() {
+            should(repopulated).equal(false);
+            return done();
+        }, 20);
+    });
+});
+
+
+describe("Collection#factory", function() {
+    var collection, source;
+
+    function route(item) {
+        return { cacheId: item.city, id: item.id, data: item };
+    }
+
+    beforeEach(function() {
+        collection = new Collection({
+            refreshInterval: 1000,
+            idleTimeout: 100,
+        });
+        source = utils.getSource();
+        collection.addSource(source);
+        collection.switch(route);
+    });
+
+    afterEach(function() {
+        collection.stopRefreshInterval();
+    });
+
+    it("rejects non-functions", function() {
+        should.throws(function() {
+            collection.factory("not a function");
+        }, errors.InvalidArgumentError);
+    });
+
+    it("creates caches the switch function routes to, on demand", function(done) {
+        collection.factory(function(cacheId, choice) {
+            should(cacheId).equal("nairobi");
+            should(choice.id).equal(1);
+            return { cache: server, populate: noop };
+        });
+        server.once("add", function() {
+            should(collection.getCache("nairobi")).equal(server);
+            client.get(function(err, items) {
+                should(err).not.be.ok();
+                should.deepEqual(utils.parse(items), [{ city: "nairobi", id: 1 }]);
+                return done();
+            });
+        });
+        source.sendMessage({ city: "nairobi", id: 1 });
+    });
+
+    it("populates caches created while refreshing, replaying the message", function(done) {
+        collection.factory(function() {
+            return {
+                cache: server,
+                populate: function(id, next) {
+                    return next(null, [{ city: id, id: 1 }]);
+                },
+            };
+        });
+        collection.startRefreshInterval();
+        source.sendMessage({ city: "mombasa", id: 2 });
+        setTimeout(function() {
+            client.get(function(err, items) {
+                should(err).not.be.ok();
+                should.deepEqual(utils.parse(items), [{ city: "mombasa", id: 1 }, { city: "mombasa", id: 2 }]);
+                return done();
+            });
+        }, 50);
+    });
+
+    it("ignores the message, if the factory function returns null", function() {
+        collection.factory(function() { return null; });
+        source.sendMessage({ city: "kisumu", id: 1 });
+        should(collection.getCache("kisumu")).equal(undefined);
+    });
+
+    it("drops the message, if the factory function defines an invalid cache", function() {
+        collection.factory(function() { return { cache: server }; });
+        should.doesNotThrow(function() {
+            source.sendMessage({ city: "eldoret", id: 1 });
+        });
+        should(collection.getCache("eldoret")).equal(undefined);
+    });
+
+    it("drops the message, if the switch function throws", function() {
+        collection.switch(function() {
+            throw new Error("switch failed");
+        });
+        should.doesNotThrow(function() {
+            source.sendMessage({ city: "thika", id: 1 });
+        });
+    });
+
+    it("passes messages that could not be routed to configurations.onError", function() {
+        var failures = [];
+        var unrouted = new Collection({
+            onError: function(err, message) {
+                failures.push({ err: err, message: message });
+            },
+        });
+        var mySource = utils.getSource();
+        unrouted.addSource(mySource);
+        mySource.sendMessage({ city: "thika", id: 1 });
+        should(failures.length).equal(1);
+        should(failures[0].err).be.an.instanceOf(errors.ConfigurationError);
+        should.deepEqual(failures[0].message, { city: "thika", id: 1 });
+        unrouted.switch(route);
+        unrouted.factory(function() { return { cache: server }; });
+        mySource.sendMessage({ city: "thika", id: 2 });
+        should(failures.length).equal(2);
+        should(failures[1].err).be.an.instanceOf(errors.InvalidArgumentError);
+    });
+
+    it("removes idle caches created by the factory function", function(done) {
+        collection.factory(function() {
+            return {
+                cache: server,
+                populate: function(id, next) {
+                    return next(null, []);
+                },
+            };
+        });
+        collection.addCache("static", server, noop);
+        collection.startRefreshInterval({ invokeImmediately: false });
+        source.sendMessage({ city: "nakuru", id: 1 });
+        setTimeout(function() {
+            // a message keeps the cache around
+            source.sendMessage({ city: "nakuru", id: 2 });
+            should(collection.getCache("nakuru")).equal(server);
+        }, 80);
+        setTimeout(function() {
+            should(collection.getCache("nakuru")).equal(undefined);
+            should(collection.getCache("static")).equal(server);
+            return done();
+        }, 300);
+    });
+});
+
+
 describe("Collection#switch", function() {
     var collection = new Collection();
     var source = utils.getSource();
@@ -238,7 +475,7 @@ describe("Collection's internal workings", function() {
         collection.startRefreshInterval();
     });
 
-    it("purges cache during cache refresh", function(done) {
+    it("replaces the cache contents during cache refresh", function(done) {
         var firstRun = true;
         collection.addCache("mine", server, function(id, next) {
             var items = firstRun ? [originalItem] : [];
@@ -256,6 +493,61 @@ describe("Collection's internal workings", function() {
         collection.startRefreshInterval();
     });
 
+    it("never leaves the cache empty during cache refresh", function(done) {
+        var items = [{name: "items refreshed", id: 2334}];
+        var sizes = [];
+        server.on("repopulate", function onRepopulate() {
+            server.removeListener("repopulate", onRepopulate);
+            collection.stopRefreshInterval();
+            should(sizes).not.containEql(0);
+            return done();
+        });
+        collection.addCache("mine", server, function(id, next) {
+            return next(null, items);
+        });
+        server.add(items, function(err) {
+            should(err).not.be.ok();
+            collection.startRefreshInterval();
+            (function poll() {
+                server.getSize(function(sizeErr, size) {
+                    should(sizeErr).not.be.ok();
+                    sizes.push(size);
+                    if (collection._running) setImmediate(poll);
+                });
+            })();
+        });
+    });
+
+    it("recovers from populate functions throwing", function(done) {
+        var calls = 0;
+        collection.addCache("mine", server, function(id, next) {
+            if (++calls === 1) {
+                throw new Error("populate failed");
+            }
+            collection.stopRefreshInterval();
+            next(null, []);
+            return done();
+        });
+        collection.startRefreshInterval();
+        should(collection.isRefreshing("mine")).equal(false);
+    });
+
+    it("allows populate functions to return a Promise", function(done) {
+        var items = [{name: "items promised", id: 2333}];
+        collection.addCache("items-promise", server, function() {
+            return Promise.resolve(items);
+        });
+        setTimeout(function() {
+            collection.stopRefreshInterval();
+            client.get(function(getErr, returnedItems) {
+                should(getErr).not.be.ok();
+                should.deepEqual(utils.parse(returnedItems), items);
+                return done();
+            });
+        }, refreshInterval * 3);
+        collection.startRefreshInterval();
+    });
+
     it("adds the items returned from the populate functions to cache", function(done) {
         var items = [{name: "items populated", id: 2332}];
         collection.addCache("items-populate", server, function(id, next) {
@@ -275,6 +567,76 @@ describe("Collection's internal workings", function() {
 });
 
 
+describe("Collection refresh buffer", function() {
+    var collection, source;
+
+    function refreshWhile(sendMessages, check, configurations) {
+        collection = new Collection(configurations);
+        source = utils.getSource();
+        collection.addSource(source);
+        collection.switch(function(item) {
+            return { cacheId: 1, id: item.id, data: item };
+        });
+        collection.addCache(1, server, function(id, next) {
+            sendMessages();
+            collection.stopRefreshInterval();
+            return next(null, []);
+        });
+        collection.startRefreshInterval();
+        // messages are replayed once the new contents are swapped in
+        setTimeout(function() {
+            client.get(function(err, items) {
+                should(err).not.be.ok();
+                return check(utils.parse(items));
+            });
+        }, 100);
+    }
+
+    it("replays messages received while refreshing", function(done) {
+        refreshWhile(function() {
+            source.sendMessage({ id: 1 });
+            source.sendMessage([{ id: 2 }]);
+        }, function(items) {
+            should.deepEqual(items, [{ id: 1 }, { id: 2 }]);
+            return done();
+        });
+    });
+
+    it("drops the oldest messages, when the buffer is full", function(done) {
+        refreshWhile(function() {
+            source.sendMessage([{ id: 1 }, { id: 2 }, { id: 3 }]);
+        }, function(items) {
+            should.deepEqual(items, [{ id: 2 }, { id: 3 }]);
+            return done();
+        }, { bufferSize: 2 });
+    });
+
+    it("drops the newest messages, if bufferOverflow is 'drop-newest'", function(done) {
+        refreshWhile(function() {
+            source.sendMessage([{ id: 1 }, { id: 2 }, { id: 3 }]);
+        }, function(items) {
+            should.deepEqual(items, [{ id: 1 }, { id: 2 }]);
+            return done();
+        }, { bufferSize: 2, bufferOverflow: "drop-newest" });
+    });
+
+    it("does not buffer messages, if bufferSize is 0", function(done) {
+        refreshWhile(function() {
+            source.sendMessage({ id: 1 });
+        }, function(items) {
+            should(items.length).equal(0);
+            return done();
+        }, { bufferSize: 0 });
+    });
+
+    it("rejects invalid overflow policies", function() {
+        should.throws(function() {
+            return new Collection({ bufferOverflow: "drop-all" });
+        }, errors.ConfigurationError);
+    });
+});
+
+
 describe("Collection#startRefreshInterval", function() {
     var collection;
     var refreshInterval = 150;
@@ -320,6 +682,191 @@ describe("Collection#startRefreshInterval", function() {
 });
 
 
+describe("Collection per-cache refresh schedules", function() {
+    var collection;
+    var otherServer;
+
+    before(function() {
+        otherServer = utils.getCacheServer({ key: "test:Collection:other" });
+    });
+
+    beforeEach(function() {
+        collection = new Collection({
+            refreshInterval: 1000,
+        });
+    });
+
+    afterEach(function(done) {
+        collection.stopRefreshInterval();
+        otherServer.purge(done);
+    });
+
+    it("refreshes each cache on its own interval", function(done) {
+        var calls = { fast: 0, slow: 0 };
+        function counting(id, next) {
+            calls[id]++;
+            return next(null, []);
+        }
+        collection.addCache("fast", server, counting, { refreshInterval: 50 });
+        collection.addCache("slow", otherServer, counting);
+        collection.startRefreshInterval();
+        setTimeout(function() {
+            should(calls.fast).aboveOrEqual(4);
+            should(calls.slow).equal(1);
+            return done();
+        }, 280);
+    });
+
+    it("adds random jitter to the refresh interval", function(done) {
+        var random = Math.random;
+        var then = Date.now();
+        Math.random = function() { return 0.5; };
+        collection.addCache(1, server, function(id, next) {
+            Math.random = random;
+            should(Date.now() - then).aboveOrEqual(150);
+            next(null, []);
+            return done();
+        }, { refreshInterval: 50, jitter: 200 });
+        collection.startRefreshInterval({ invokeImmediately: false });
+    });
+
+    it("keeps refreshing state per cache", function(done) {
+        var source = utils.getSource();
+        collection.addSource(source);
+        collection.switch(function(item) {
+            return { cacheId: item.cacheId, id: item.id, data: item };
+        });
+        // the populate function of this cache never completes
+        collection.addCache("stuck", otherServer, noop);
+        collection.addCache("mine", server, function(id, next) {
+            return next(null, []);
+        });
+        server.once("repopulate", function() {
+            setTimeout(check, 20);
+        });
+        collection.startRefreshInterval();
+
+        function check() {
+            should(collection.isRefreshing("stuck")).equal(true);
+            should(collection.isRefreshing("mine")).equal(false);
+            should(collection.isRefreshing()).equal(true);
+            server.once("add", function() {
+                client.get(function(err, items) {
+                    should(err).not.be.ok();
+                    should(items.length).equal(1);
+                    return done();
+                });
+            });
+            source.sendMessage({ cacheId: "mine", id: 1 });
+        }
+    });
+
+    it("refreshes caches added while running at once", function(done) {
+        collection.startRefreshInterval();
+        collection.addCache(1, server, function(id, next) {
+            next(null, []);
+            return done();
+        });
+    });
+
+    it("rejects invalid schedules", function() {
+        should.throws(function() {
+            collection.addCache(1, server, noop, { refreshInterval: -1 });
+        }, errors.InvalidArgumentError);
+        should.throws(function() {
+            collection.addCache(1, server, noop, { jitter: "a little" });
+        }, errors.InvalidArgumentError);
+    });
+});
+
+
+describe("Collection refresh leases", function() {
+    var store;
+    var instances;
+
+    // each collection stands for an application instance
+    function newInstance(calls, index) {
+        var collection = new Collection({
+            refreshInterval: 50,
+            lease: store,
+            leaseTtl: 80,
+        });
+        collection.addCache(1, server, function(id, next) {
+            calls.push(index);
+            return next(null, []);
+        });
+        instances.push(collection);
+        return collection;
+    }
+
+    beforeEach(function() {
+        store = new MemoryStore();
+        instances = [];
+    });
+
+    afterEach(function() {
+        instances.forEach(function(collection) {
+            collection.stopRefreshInterval();
+        });
+    });
+
+    it("lets only the lease holder refresh a cache", function(done) {
+        var calls = [];
+        newInstance(calls, 0).startRefreshInterval();
+        newInstance(calls, 1).startRefreshInterval();
+        setTimeout(function() {
+            should(calls.length).aboveOrEqual(3);
+            should(calls).not.containEql(1);
+            return done();
+        }, 180);
+    });
+
+    it("hands the cache over, once the holder stops renewing its lease", function(done) {
+        var calls = [];
+        var holder = newInstance(calls, 0).startRefreshInterval();
+        newInstance(calls, 1).startRefreshInterval();
+        setTimeout(function() {
+            // the holder dies, without releasing its lease
+            Object.keys(holder._caches).forEach(function(id) {
+                clearTimeout(holder._caches[id].timer);
+            });
+            holder._running = false;
+            calls.length = 0;
+        }, 60);
+        setTimeout(function() {
+            should(calls).containEql(1);
+            should(calls).not.containEql(0);
+            return done();
+        }, 250);
+    });
+
+    it("releases the leases held, when stopped", function(done) {
+        var holder = newInstance([], 0).startRefreshInterval();
+        setTimeout(function() {
+            holder.stopRefreshInterval();
+            store.acquireLease(holder._leaseKey(1), "another instance", 1000, function(err, acquired) {
+                should(err).not.be.ok();
+                should(acquired).equal(true);
+                return done();
+            });
+        }, 20);
+    });
+
+    it("releases the leases held, when the lease store or key changes", function(done) {
+        var holder = newInstance([], 0).startRefreshInterval();
+        setTimeout(function() {
+            var oldKey = holder._leaseKey(1);
+            holder.reconfigure({ leaseKey: "other-lease" });
+            store.acquireLease(oldKey, "another instance", 1000, function(err, acquired) {
+                should(err).not.be.ok();
+                should(acquired).equal(true);
+                return done();
+            });
+        }, 20);
+    });
+});
+
+
 describe("Collection#stopRefreshInterval", function() {
     var collection;
 
@@ -347,3 +894,44 @@ describe("Collection#stopRefreshInterval", function() {
         collection.startRefreshInterval();
     });
 });
+
+
+describe("Collection#reconfigure", function() {
+    var collection;
+
+    beforeEach(function() {
+        collection = new Collection({
+            refreshInterval: 1000,
+        });
+    });
+
+    afterEach(function() {
+        collection.stopRefreshInterval();
+    });
+
+    it("rejects invalid configurations, leaving the current ones as is", function() {
+        should.throws(function() {
+            collection.reconfigure({ refreshInterval: "often" });
+        }, errors.ConfigurationError);
+        should(collection._configurations.refreshInterval).equal(1000);
+    });
+
+    it("restarts a running refresh interval with the new refreshInterval", function(done) {
+        var called = 0;
+        this.timeout(800);
+        collection.addCache(1, server, function(id, next) {
+            next();
+            if (++called === 3) return done();
+        });
+        collection.startRefreshInterval({ invokeImmediately: false });
+        should(collection.reconfigure({ refreshInterval: 100 })).equal(collection);
+    });
+
+    it("does not start the refresh interval, if it is not running", function(done) {
+        collection.addCache(1, server, function() {
+            return done(new Error("refreshed"));
+        });
+        collection.reconfigure({ refreshInterval: 50 });
+        setTimeout(done, 150);
+    });
+});
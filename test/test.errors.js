@@ -0,0 +1,42 @@
+/**
+ * Testing the error classes
+ */
+
+
+"use strict";
+
+
+// npm-installed modules
+var should = require("should");
+
+
+// own modules
+var errors = require("../lib/errors");
+var ssInterface = require("..");
+
+
+describe("errors module", function() {
+    it("is exported from the module", function() {
+        should.strictEqual(ssInterface.errors, errors);
+    });
+
+    it("errors are instances of Error and SSInterfaceError", function() {
+        var err = new errors.InvalidIdError("invalid item id: abc", { id: "abc" });
+        should(err).be.an.instanceOf(Error);
+        should(err).be.an.instanceOf(errors.SSInterfaceError);
+        should(err).be.an.instanceOf(errors.InvalidIdError);
+        should(err.name).equal("InvalidIdError");
+        should(err.message).equal("invalid item id: abc");
+        should(err.id).equal("abc");
+        should(err.stack).be.a.String();
+    });
+
+    it("errors have codes", function() {
+        should(new errors.InvalidIdError().code).equal("ERR_INVALID_ID");
+        should(new errors.InvalidItemError().code).equal("ERR_INVALID_ITEM");
+        should(new errors.InvalidArgumentError().code).equal("ERR_INVALID_ARGUMENT");
+        should(new errors.ConfigurationError().code).equal("ERR_CONFIGURATION");
+        should(new errors.ConflictError().code).equal("ERR_CONFLICT");
+        should(new errors.StoreError().code).equal("ERR_STORE");
+    });
+});
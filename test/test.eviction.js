@@ -0,0 +1,128 @@
+/**
+ * Testing the eviction policies
+ */
+
+
+"use strict";
+
+
+// npm-installed modules
+var should = require("should");
+
+
+// own modules
+var eviction = require("../lib/eviction");
+var MemoryStore = require("../lib/stores/memory");
+
+
+// module variables
+var key = "test:eviction";
+
+
+describe("eviction.fromConfig", function() {
+    it("builds a count policy, unless max_size is +Infinity", function() {
+        var policies = eviction.fromConfig({ max_size: 10, min_size: 5 });
+        should(policies.length).equal(1);
+        should(policies[0]).be.an.instanceOf(eviction.CountPolicy);
+        should(eviction.fromConfig({ max_size: +Infinity }).length).equal(0);
+    });
+
+    it("combines policies", function() {
+        var custom = { evict: function() {} };
+        var policies = eviction.fromConfig({
+            max_size: 10,
+            min_size: 5,
+            max_age: 1000,
+            max_bytes: 1024,
+            eviction: [custom],
+        });
+        should(policies[0]).be.an.instanceOf(eviction.CountPolicy);
+        should(policies[1]).be.an.instanceOf(eviction.MaxAgePolicy);
+        should(policies[2]).be.an.instanceOf(eviction.MaxBytesPolicy);
+        should.strictEqual(policies[3], custom);
+    });
+
+    it("throws if a custom policy does not implement evict()", function() {
+        should.throws(function() {
+            eviction.fromConfig({ max_size: +Infinity, eviction: [{}] });
+        });
+    });
+});
+
+
+describe("eviction.MaxAgePolicy", function() {
+    it("removes items older than maxAge", function(done) {
+        var store = new MemoryStore();
+        var now = Date.now();
+        var policy = new eviction.MaxAgePolicy({ maxAge: 60000 });
+        store.add(key, [
+            { score: now - 120000, value: "old" },
+            { score: now, value: "new" },
+        ], function(err) {
+            should(err).not.be.ok();
+            policy.evict(store, key, {}, function(evictErr, result) {
+                should(evictErr).not.be.ok();
+                should.deepEqual(result, { before: 2, after: 1 });
+                store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values, ["new"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("uses timeToId to convert timestamps into IDs", function(done) {
+        var store = new MemoryStore();
+        var policy = new eviction.MaxAgePolicy({
+            maxAge: 60000,
+            timeToId: function() { return 5; },
+        });
+        store.add(key, [{ score: 4, value: "a" }, { score: 5, value: "b" }], function(err) {
+            should(err).not.be.ok();
+            policy.evict(store, key, {}, function(evictErr, result) {
+                should(evictErr).not.be.ok();
+                should.deepEqual(result, { before: 2, after: 1 });
+                return done();
+            });
+        });
+    });
+
+    it("does not run again within the debounce period", function(done) {
+        var store = new MemoryStore();
+        var policy = new eviction.MaxAgePolicy({ maxAge: 60000, debounce: 1000 });
+        policy.evict(store, key, {}, function(err, result) {
+            should(err).not.be.ok();
+            should.deepEqual(result, { before: 0, after: 0 });
+            policy.evict(store, key, {}, function(evictErr, debounced) {
+                should(evictErr).not.be.ok();
+                should(debounced).equal(null);
+                return done();
+            });
+        });
+    });
+});
+
+
+describe("eviction.MaxBytesPolicy", function() {
+    it("reduces the total length of items to minBytes", function(done) {
+        var store = new MemoryStore();
+        var policy = new eviction.MaxBytesPolicy({ maxBytes: 8, minBytes: 4 });
+        store.add(key, [
+            { score: 1, value: "aaaa" },
+            { score: 2, value: "bbbb" },
+            { score: 3, value: "cccc" },
+        ], function(err) {
+            should(err).not.be.ok();
+            policy.evict(store, key, {}, function(evictErr, result) {
+                should(evictErr).not.be.ok();
+                should.deepEqual(result, { before: 3, after: 1 });
+                store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values, ["cccc"]);
+                    return done();
+                });
+            });
+        });
+    });
+});
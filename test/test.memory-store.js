@@ -0,0 +1,380 @@
+/**
+ * Testing the in-memory store
+ */
+
+
+"use strict";
+
+
+// npm-installed modules
+var should = require("should");
+
+
+// own modules
+var MemoryStore = require("../lib/stores/memory");
+
+
+// module variables
+var key = "test:MemoryStore";
+
+
+describe("MemoryStore", function() {
+    var store;
+
+    beforeEach(function() {
+        store = new MemoryStore();
+    });
+
+    function fill(entries, done) {
+        store.add(key, entries, function(err) {
+            should(err).not.be.ok();
+            return done();
+        });
+    }
+
+    it("exports .MemoryStore for convenience", function() {
+        should.strictEqual(MemoryStore.MemoryStore, MemoryStore);
+    });
+
+    it("orders members by score", function(done) {
+        fill([{ score: 3, value: "c" }, { score: 1, value: "a" }, { score: 2, value: "b" }], function() {
+            store.rangeByRank(key, 0, -1, function(err, values) {
+                should(err).not.be.ok();
+                should.deepEqual(values, ["a", "b", "c"]);
+                return done();
+            });
+        });
+    });
+
+    it("orders members sharing a score lexicographically", function(done) {
+        fill([{ score: 1, value: "b" }, { score: 1, value: "ab" }, { score: 1, value: "a" }], function() {
+            store.rangeByRank(key, 0, -1, function(err, values) {
+                should(err).not.be.ok();
+                should.deepEqual(values, ["a", "ab", "b"]);
+                return done();
+            });
+        });
+    });
+
+    it("orders members byte-wise, like Redis", function(done) {
+        fill([{ score: 1, value: "😀" }, { score: 1, value: "￿" }], function() {
+            store.rangeByRank(key, 0, -1, function(err, values) {
+                should(err).not.be.ok();
+                should.deepEqual(values, ["￿", "😀"]);
+                return done();
+            });
+        });
+    });
+
+    it("updates the score of an existing member", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }], function() {
+            store.add(key, [{ score: 3, value: "a" }], function(err, added) {
+                should(err).not.be.ok();
+                should(added).equal(0);
+                store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values, ["b", "a"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("rejects invalid scores", function(done) {
+        store.add(key, [{ score: "abc", value: "a" }], function(err) {
+            should(err).be.an.instanceOf(Error);
+            store.count(key, function(countErr, count) {
+                should(countErr).not.be.ok();
+                should(count).equal(0);
+                return done();
+            });
+        });
+    });
+
+    it("supports -Infinity and +Infinity bounds", function(done) {
+        fill([{ score: -Infinity, value: "a" }, { score: 0, value: "b" }, { score: +Infinity, value: "c" }], function() {
+            store.rangeByScore(key, -Infinity, +Infinity, function(err, values) {
+                should(err).not.be.ok();
+                should.deepEqual(values, ["a", "b", "c"]);
+                store.rangeByScore(key, "-inf", 0, function(rangeErr, values2) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values2, ["a", "b"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("applies LIMIT to ranges by score", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.rangeByScore(key, 1, 3, { offset: 1, count: 1 }, function(err, values) {
+                should(err).not.be.ok();
+                should.deepEqual(values, ["b"]);
+                store.revRangeByScore(key, 3, 1, { offset: 0, count: 2 }, function(revErr, revValues) {
+                    should(revErr).not.be.ok();
+                    should.deepEqual(revValues, ["c", "b"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("supports exclusive bounds", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.rangeByScore(key, "(1", "(3", function(err, values) {
+                should(err).not.be.ok();
+                should.deepEqual(values, ["b"]);
+                return done();
+            });
+        });
+    });
+
+    it("returns entries, if options.withScores is set", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }], function() {
+            store.rangeByRank(key, 0, -1, { withScores: true }, function(err, entries) {
+                should(err).not.be.ok();
+                should.deepEqual(entries, [{ score: 1, value: "a" }, { score: 2, value: "b" }]);
+                return done();
+            });
+        });
+    });
+
+    it("handles negative ranks", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.rangeByRank(key, -2, -1, function(err, values) {
+                should(err).not.be.ok();
+                should.deepEqual(values, ["b", "c"]);
+                store.rangeByRank(key, -10, 0, function(rangeErr, values2) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values2, ["a"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("removes members by rank", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.removeRangeByRank(key, 0, -3, function(err, removed) {
+                should(err).not.be.ok();
+                should(removed).equal(1);
+                store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values, ["b", "c"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("removes members by score", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 2, value: "c" }], function() {
+            store.removeRangeByScore(key, 2, 2, function(err, removed) {
+                should(err).not.be.ok();
+                should(removed).equal(2);
+                store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values, ["a"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("replaces members by score", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.replaceByScore(key, [{ score: 1, value: "d" }, { score: 3, value: "e" }], function(err, added) {
+                should(err).not.be.ok();
+                should(added).equal(2);
+                store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values, ["d", "b", "e"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("trims sets by the length of their members", function(done) {
+        fill([{ score: 1, value: "aaaa" }, { score: 2, value: "bbbb" }, { score: 3, value: "cccc" }], function() {
+            store.trimBytes(key, 12, 5, function(err, result) {
+                should(err).not.be.ok();
+                should.deepEqual(result, { before: 3, after: 1 });
+                store.trimBytes(key, 12, 5, function(trimErr, result2) {
+                    should(trimErr).not.be.ok();
+                    should.deepEqual(result2, { before: 1, after: 1 });
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("returns the members removed when trimming, if options.withRemoved is set", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.trim(key, 3, 1, { withRemoved: true }, function(err, result) {
+                should(err).not.be.ok();
+                should.deepEqual(result, {
+                    before: 3,
+                    after: 1,
+                    removed: [{ score: 1, value: "a" }, { score: 2, value: "b" }],
+                });
+                return done();
+            });
+        });
+    });
+
+    it("pops members by score", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.popRangeByScore(key, -Infinity, "(3", function(err, entries) {
+                should(err).not.be.ok();
+                should.deepEqual(entries, [{ score: 1, value: "a" }, { score: 2, value: "b" }]);
+                store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(values, ["c"]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("compares and replaces members at a score", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }], function() {
+            store.compareAndReplace(key, 1, ["b"], "c", function(err, replaced) {
+                should(err).not.be.ok();
+                should(replaced).equal(false);
+                store.compareAndReplace(key, 1, ["a"], "c", function(replaceErr, replaced2) {
+                    should(replaceErr).not.be.ok();
+                    should(replaced2).equal(true);
+                    store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                        should(rangeErr).not.be.ok();
+                        should.deepEqual(values, ["c", "b"]);
+                        return done();
+                    });
+                });
+            });
+        });
+    });
+
+    it("removes members at several scores, and by value", function(done) {
+        fill([{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }], function() {
+            store.removeByScores(key, [1, 3, 4], function(err, removed) {
+                should(err).not.be.ok();
+                should(removed).equal(2);
+                store.remove(key, ["b", "z"], function(removeErr, removed2) {
+                    should(removeErr).not.be.ok();
+                    should(removed2).equal(1);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("renames sets, replacing the destination", function(done) {
+        fill([{ score: 1, value: "a" }], function() {
+            store.add("other", [{ score: 2, value: "b" }], function(addErr) {
+                should(addErr).not.be.ok();
+                store.rename("other", key, function(err) {
+                    should(err).not.be.ok();
+                    store.rangeByRank(key, 0, -1, function(rangeErr, values) {
+                        should(rangeErr).not.be.ok();
+                        should.deepEqual(values, ["b"]);
+                        store.count("other", function(countErr, count) {
+                            should(countErr).not.be.ok();
+                            should(count).equal(0);
+                            return done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it("destroys the destination, when renaming a missing set", function(done) {
+        fill([{ score: 1, value: "a" }], function() {
+            store.rename("missing", key, function(err) {
+                should(err).not.be.ok();
+                store.count(key, function(countErr, count) {
+                    should(countErr).not.be.ok();
+                    should(count).equal(0);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("expires sets, unless renamed before", function(done) {
+        fill([{ score: 1, value: "a" }], function() {
+            store.add("other", [{ score: 2, value: "b" }], function(addErr) {
+                should(addErr).not.be.ok();
+                store.expire(key, 10);
+                store.expire("other", 10);
+                store.rename("other", "renamed");
+                setTimeout(function() {
+                    store.count(key, function(countErr, count) {
+                        should(countErr).not.be.ok();
+                        should(count).equal(0);
+                        store.count("renamed", function(countErr2, count2) {
+                            should(countErr2).not.be.ok();
+                            should(count2).equal(1);
+                            return done();
+                        });
+                    });
+                }, 20);
+            });
+        });
+    });
+
+    it("grants leases to one token at a time", function(done) {
+        store.acquireLease("lease", "a", 1000, function(err, acquired) {
+            should(err).not.be.ok();
+            should(acquired).equal(true);
+            store.acquireLease("lease", "b", 1000, function(err2, acquired2) {
+                should(err2).not.be.ok();
+                should(acquired2).equal(false);
+                store.acquireLease("lease", "a", 1000, function(err3, renewed) {
+                    should(err3).not.be.ok();
+                    should(renewed).equal(true);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("grants expired and released leases to other tokens", function(done) {
+        store.acquireLease("lease", "a", 10, function(err) {
+            should(err).not.be.ok();
+            setTimeout(function() {
+                store.acquireLease("lease", "b", 1000, function(err2, acquired) {
+                    should(err2).not.be.ok();
+                    should(acquired).equal(true);
+                    store.releaseLease("lease", "a", function(err3, released) {
+                        should(err3).not.be.ok();
+                        should(released).equal(false);
+                        store.releaseLease("lease", "b", function(err4, released2) {
+                            should(err4).not.be.ok();
+                            should(released2).equal(true);
+                            store.acquireLease("lease", "a", 1000, function(err5, acquired2) {
+                                should(err5).not.be.ok();
+                                should(acquired2).equal(true);
+                                return done();
+                            });
+                        });
+                    });
+                });
+            }, 20);
+        });
+    });
+
+    it("deletes sets", function(done) {
+        fill([{ score: 1, value: "a" }], function() {
+            store.del(key, function(err) {
+                should(err).not.be.ok();
+                store.count(key, function(countErr, count) {
+                    should(countErr).not.be.ok();
+                    should(count).equal(0);
+                    return done();
+                });
+            });
+        });
+    });
+});
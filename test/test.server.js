@@ -6,6 +6,11 @@
 "use strict";
 
 
+// built-in modules
+var EventEmitter = require("events").EventEmitter;
+var stream = require("stream");
+
+
 // npm-installed modules
 var _ = require("lodash");
 var async = require("async");
@@ -14,6 +19,8 @@ var stringify = require("json-stable-stringify");
 
 
 // own modules
+var errors = require("../lib/errors");
+var MemoryStore = require("../lib/stores/memory");
 var Server = require("../lib/server");
 var utils = require("./utils");
 var server, client;
@@ -58,12 +65,12 @@ describe("Server module", function() {
 describe("constructor", function() {
     it("configuration is optional", function() {
         should.doesNotThrow(function() {
-            return new Server(utils.getRedisClient());
+            return new Server(utils.getStore());
         });
     });
 
     it("returns an instance of Server", function() {
-        var server1 = new Server(utils.getRedisClient());
+        var server1 = new Server(utils.getStore());
         should(server1).be.an.instanceOf(Server);
     });
 });
@@ -104,7 +111,360 @@ describe("Server configurations", function() {
 });
 
 
+describe("Server configuration validation", function() {
+    it("throws ConfigurationError on invalid values", function() {
+        [
+            { min_size: 20, max_size: 10 },
+            { batch_size: -1 },
+            { stringify: "JSON" },
+            { key: "" },
+        ].forEach(function(invalid) {
+            should.throws(function() {
+                return new Server(utils.getStore(), _.assign({ key: "test:Server:config" }, invalid));
+            }, errors.ConfigurationError);
+        });
+    });
+
+    it("names the invalid option in the error", function() {
+        should.throws(function() {
+            return new Server(utils.getStore(), { batch_size: -1 });
+        }, function(err) {
+            should(err.option).equal("batch_size");
+            should(err.value).equal(-1);
+            should(err.message).containEql("config.batch_size");
+            return true;
+        });
+    });
+
+    it("does not modify the configuration passed", function() {
+        var myConfig = { key: "test:Server:config" };
+        var myServer = new Server(utils.getStore(), myConfig);
+        should(myServer).be.an.instanceOf(Server);
+        should.deepEqual(myConfig, { key: "test:Server:config" });
+    });
+});
+
+
+describe("Server#reconfigure", function() {
+    var myServer;
+
+    beforeEach(function(done) {
+        myServer = new Server(utils.getStore(), {
+            key: "test:Server:reconfigure",
+            max_size: 10,
+            min_size: 8,
+        });
+        myServer.purge(done);
+    });
+
+    afterEach(function(done) {
+        myServer.purge(done);
+    });
+
+    it("applies the new limits on the next write", function(done) {
+        should(myServer.reconfigure({ max_size: 5, min_size: 2 })).equal(myServer);
+        myServer.add(utils.newItems(6), function(err) {
+            should(err).not.be.ok();
+            myServer.getSize(function(sizeErr, size) {
+                should(sizeErr).not.be.ok();
+                should(size).equal(2);
+                return done();
+            });
+        });
+    });
+
+    it("keeps values not being changed", function() {
+        myServer.reconfigure({ batch_size: 3 });
+        should(myServer._key).equal("test:Server:reconfigure");
+        should(myServer._batchSize).equal(3);
+        should(myServer._config.max_size).equal(10);
+    });
+
+    it("leaves the configuration as is, if a value is invalid", function() {
+        should.throws(function() {
+            myServer.reconfigure({ min_size: 20 });
+        }, errors.ConfigurationError);
+        should(myServer._config.min_size).equal(8);
+        should(myServer._eviction[0]._minSize).equal(8);
+    });
+});
+
+
+describe("Server#_reduce", function() {
+    it("emits errors from reducing the cache, without failing the write", function(done) {
+        var store = new MemoryStore();
+        var trim = store.trim;
+        var myServer = new Server(store, config);
+        store.trim = function(key, maxSize, minSize, options, callback) {
+            return callback(new Error("trim failed"));
+        };
+        myServer.once("error", function(emitted) {
+            should(emitted).be.an.instanceOf(errors.StoreError);
+            should(emitted.cause.message).equal("trim failed");
+            // the server should still reduce the cache, afterwards
+            store.trim = trim;
+            myServer.once("reduce", function(event) {
+                should(event.after).equal(config.min_size);
+                return done();
+            });
+            myServer.addOne({ id: 100 }, function(addErr) {
+                should(addErr).not.be.ok();
+            });
+        });
+        myServer.add(utils.newItems(config.max_size), function(err, added) {
+            should(err).not.be.ok();
+            should(added).equal(config.max_size);
+        });
+    });
+
+    it("does not hold the callback until the cache is reduced", function(done) {
+        var store = new MemoryStore();
+        var myServer = new Server(store, config);
+        var reduced = false;
+        store.trim = function() {
+            // never completes
+        };
+        myServer.on("reduce", function() {
+            reduced = true;
+        });
+        myServer.add(utils.newItems(config.max_size), function(err, added) {
+            should(err).not.be.ok();
+            should(added).equal(config.max_size);
+            should(reduced).equal(false);
+            return done();
+        });
+    });
+
+    it("debounces reductions across instances, if config.reduce_debounce is set", function(done) {
+        var debounced = _.assign({}, config, { reduce_debounce: 1000 });
+        var server1 = utils.getCacheServer(debounced);
+        var server2 = utils.getCacheServer(debounced);
+        server1.add(utils.newItems(config.max_size), function(err) {
+            should(err).not.be.ok();
+            server2.add(utils.newItems(config.max_size * 2), function(addErr) {
+                should(addErr).not.be.ok();
+                server2.getSize(function(sizeErr, size) {
+                    should(sizeErr).not.be.ok();
+                    should(size).above(config.max_size);
+                    return done();
+                });
+            });
+        });
+    });
+});
+
+
+describe("Server eviction", function() {
+    it("applies the policies configured, combined", function(done) {
+        var myServer = new Server(new MemoryStore(), {
+            key: config.key,
+            max_size: +Infinity,
+            max_age: 60000,
+            timeToId: function() { return 3; },
+            max_bytes: 100,
+        });
+        myServer.once("reduce", function(event) {
+            should.deepEqual(event, { before: 5, after: 3 });
+            return done();
+        });
+        myServer.add(utils.newItems(5), function(err) {
+            should(err).not.be.ok();
+        });
+    });
+
+    it("debounces reductions by default, if config.max_bytes is set", function() {
+        var myServer = new Server(new MemoryStore(), { key: config.key, max_bytes: 100 });
+        should(myServer._eviction[1]._debounce).equal(1000);
+        myServer.reconfigure({ reduce_debounce: 0 });
+        should(myServer._eviction[1]._debounce).equal(0);
+    });
+
+    it("applies custom policies", function(done) {
+        var myServer = new Server(new MemoryStore(), _.assign({}, config, {
+            eviction: [{
+                evict: function(store, key, options, callback) {
+                    callback(null, null);
+                    return done();
+                },
+            }],
+        }));
+        myServer.addOne(1, "item 1", function(err) {
+            should(err).not.be.ok();
+        });
+    });
+});
+
+
+describe("Server archive", function() {
+    var store;
+
+    beforeEach(function() {
+        store = new MemoryStore();
+    });
+
+    function newServer(archive) {
+        return new Server(store, _.assign({}, config, { archive: archive }));
+    }
+
+    it("throws if the archive sink is invalid", function() {
+        should.throws(function() {
+            newServer(5);
+        });
+    });
+
+    it("throws if the archive stream is not in object mode", function() {
+        should.throws(function() {
+            newServer(new stream.Writable({ write: function() {} }));
+        }, errors.ConfigurationError);
+    });
+
+    it("passes evicted items to a callback", function(done) {
+        var myServer = newServer(function(items, next) {
+            should.deepEqual(_.map(items, "id"), [1, 2]);
+            should.deepEqual(items[0], { id: 1, value: stringify({ id: 1 }) });
+            next();
+            return done();
+        });
+        myServer.add(utils.newItems(config.max_size), function(err) {
+            should(err).not.be.ok();
+        });
+    });
+
+    it("moves evicted and purged items into a sorted set", function(done) {
+        var archiveKey = config.key + ":archive";
+        var myServer = newServer(archiveKey);
+        myServer.add(utils.newItems(config.max_size), function(err) {
+            should(err).not.be.ok();
+            myServer.purge(function(purgeErr) {
+                should(purgeErr).not.be.ok();
+                store.count(archiveKey, function(countErr, count) {
+                    should(countErr).not.be.ok();
+                    should(count).equal(config.max_size);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("writes purged items to a writable stream", function(done) {
+        var archived = [];
+        var sink = new stream.Writable({
+            objectMode: true,
+            write: function(item, encoding, next) {
+                archived.push(item);
+                return next();
+            },
+        });
+        var myServer = newServer(sink);
+        myServer.addOne(1, "item 1", function(err) {
+            should(err).not.be.ok();
+            myServer.purge(function(purgeErr) {
+                should(purgeErr).not.be.ok();
+                should.deepEqual(archived, [{ id: 1, value: "item 1" }]);
+                return done();
+            });
+        });
+    });
+
+    it("attaches the items to errors from the sink", function(done) {
+        var myServer = newServer(function(items, next) {
+            return next(new Error("archive failed"));
+        });
+        myServer.on("error", function(err) {
+            should(err.message).equal("archive failed");
+            should(err.entries.length).equal(2);
+            return done();
+        });
+        myServer.add(utils.newItems(config.max_size), function(err) {
+            should(err).not.be.ok();
+        });
+    });
+
+    it("passes errors thrown by the sink, with the items attached", function(done) {
+        var myServer = newServer(function() {
+            throw new Error("sink threw");
+        });
+        myServer.addOne(1, "item 1", function(err) {
+            should(err).not.be.ok();
+            myServer.purge(function(purgeErr) {
+                should(purgeErr.message).equal("sink threw");
+                should.deepEqual(purgeErr.entries, [{ score: 1, value: "item 1" }]);
+                return done();
+            });
+        });
+    });
+});
+
+
+describe("Server input validation", function() {
+    it("rejects invalid IDs", function(done) {
+        server.add([{ id: "abc" }], function(err) {
+            should(err).be.an.instanceOf(errors.InvalidIdError);
+            should(err.code).equal("ERR_INVALID_ID");
+            should(err.index).equal(0);
+            server.addOne("abc", "item", function(addErr) {
+                should(addErr).be.an.instanceOf(errors.InvalidIdError);
+                return done();
+            });
+        });
+    });
+
+    it("rejects items without an ID", function() {
+        return server.add([{ text: "no id" }]).then(function() {
+            throw new Error("should have failed");
+        }, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidIdError);
+        });
+    });
+
+    it("rejects missing items", function(done) {
+        server.addOne(1, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidItemError);
+            return done();
+        });
+    });
+
+    it("rejects invalid arguments", function(done) {
+        server.add({ id: 1 }, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidArgumentError);
+            server.removeWhere("not a function", function(removeErr) {
+                should(removeErr).be.an.instanceOf(errors.InvalidArgumentError);
+                return done();
+            });
+        });
+    });
+
+    it("accepts numeric strings as IDs", function(done) {
+        server.addOne("12", "item 12", function(err) {
+            should(err).not.be.ok();
+            return done();
+        });
+    });
+
+    it("wraps errors from the datastore in a StoreError", function(done) {
+        var store = new MemoryStore();
+        var myServer = new Server(store, config);
+        var cause = new Error("connection lost");
+        store.add = function(key, entries, callback) {
+            return callback(cause);
+        };
+        myServer.addOne(1, "item 1", function(err) {
+            should(err).be.an.instanceOf(errors.StoreError);
+            should(err.code).equal("ERR_STORE");
+            should.strictEqual(err.cause, cause);
+            return done();
+        });
+    });
+});
+
+
 describe("Server#getSize", function() {
+    it("returns a Promise if callback is left out", function() {
+        return server.getSize().then(function(size) {
+            should(size).equal(0);
+        });
+    });
+
     it("returns '0' if zero items", function(done) {
         server.getSize(function(err, size) {
             should(err).not.be.ok();
@@ -139,6 +499,23 @@ describe("Server#getSize", function() {
 
 
 describe("Server#addOne", function() {
+    it("returns a Promise if callback is left out", function() {
+        return server.addOne(300, "item 300").then(function() {
+            return client.get();
+        }).then(function(items) {
+            should.deepEqual(items, ["item 300"]);
+        });
+    });
+
+    it("returns a Promise if callback is left out, when using an object", function() {
+        var obj = { id: 301, data: "data" };
+        return server.addOne(obj).then(function() {
+            return client.get();
+        }).then(function(items) {
+            should.deepEqual(items, [stringify(obj)]);
+        });
+    });
+
     it("works as expected", function(done) {
         server.addOne(100, "item 100", function(err) {
             should(err).not.be.ok();
@@ -162,6 +539,20 @@ describe("Server#addOne", function() {
         });
     });
 
+    it("does not leave failures unhandled, if callback is left out", function(done) {
+        var unhandled = null;
+        function onUnhandled(reason) {
+            unhandled = reason;
+        }
+        process.on("unhandledRejection", onUnhandled);
+        server.addOne("abc", "item abc");
+        setTimeout(function() {
+            process.removeListener("unhandledRejection", onUnhandled);
+            should(unhandled).equal(null);
+            return done();
+        }, 20);
+    });
+
     it("id and callback are both optional", function() {
         should.doesNotThrow(function() {
             server.addOne({ id: 243 });
@@ -209,7 +600,80 @@ describe("Server#addOne", function() {
 });
 
 
+describe("Server uniqueIds", function() {
+    it("keeps one item per ID, when writes are concurrent", function(done) {
+        var otherServer = utils.getCacheServer(_.assign({}, config, {
+            uniqueIds: true,
+        }));
+        return async.parallel([
+            function(next) { serverUniqueIds.addOne({ id: 1, data: "a" }, next); },
+            function(next) { otherServer.addOne({ id: 1, data: "b" }, next); },
+            function(next) { serverUniqueIds.add([{ id: 1, data: "c" }, { id: 2 }], next); },
+            function(next) { otherServer.add([{ id: 1, data: "d" }, { id: 2 }], next); },
+        ], function(err) {
+            should(err).not.be.ok();
+            client.get(function(getErr, items) {
+                should(getErr).not.be.ok();
+                should(items.length).equal(2);
+                return done();
+            });
+        });
+    });
+
+    it("replaces only the IDs being added", function(done) {
+        serverUniqueIds.add(utils.newItems(5), function(err) {
+            should(err).not.be.ok();
+            serverUniqueIds.add([{ id: 1, data: "new" }, { id: 5, data: "new" }], function(addErr) {
+                should(addErr).not.be.ok();
+                client.get(function(getErr, items) {
+                    should(getErr).not.be.ok();
+                    should.deepEqual(utils.parse(items), [
+                        { id: 1, data: "new" },
+                        { id: 2 },
+                        { id: 3 },
+                        { id: 4 },
+                        { id: 5, data: "new" },
+                    ]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("does not remove old items, if adding the new items fails", function(done) {
+        serverUniqueIds.addOne({ id: 1, data: "old" }, function(err) {
+            should(err).not.be.ok();
+            serverUniqueIds.add([{ id: 1, data: "new" }, { id: "invalid" }], function(addErr) {
+                should(addErr).be.ok();
+                client.get(function(getErr, items) {
+                    should(getErr).not.be.ok();
+                    should.deepEqual(utils.parse(items), [{ id: 1, data: "old" }]);
+                    return done();
+                });
+            });
+        });
+    });
+});
+
+
 describe("Server#add", function() {
+    it("returns a Promise if callback is left out", function() {
+        var items = [{ id: 1 }, { id: 2 }];
+        return server.add(items).then(function() {
+            return client.get();
+        }).then(function(ret) {
+            should.deepEqual(utils.parse(ret), items);
+        });
+    });
+
+    it("rejects the Promise with the error", function() {
+        return server.add([{ id: "not a number" }]).then(function() {
+            throw new Error("expected a rejection");
+        }, function(err) {
+            should(err).be.an.instanceOf(Error);
+        });
+    });
+
     it("adds several items", function(done) {
         var items = [{ id: 1 }, { id: 2 }];
         server.add(items, function(err) {
@@ -276,7 +740,135 @@ describe("Server#add", function() {
 });
 
 
+describe("Server#update", function() {
+    it("applies a merge patch", function(done) {
+        server.addOne(1, { id: 1, text: "old", meta: { a: 1, b: 2 } }, function(err) {
+            should(err).not.be.ok();
+            server.update(1, { text: "new", meta: { b: null } }, function(updateErr, result) {
+                should(updateErr).not.be.ok();
+                should.deepEqual(result, { found: true, item: { id: 1, text: "new", meta: { a: 1 } } });
+                client.get(function(getErr, items) {
+                    should(getErr).not.be.ok();
+                    should.deepEqual(items, [stringify({ id: 1, text: "new", meta: { a: 1 } })]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("applies a transform function", function() {
+        return server.addOne(1, { id: 1, count: 1 }).then(function() {
+            return server.update(1, function(item) {
+                item.count += 1;
+            });
+        }).then(function(result) {
+            should.deepEqual(result.item, { id: 1, count: 2 });
+        });
+    });
+
+    it("reports if no item exists at the ID", function(done) {
+        server.update(404, { text: "new" }, function(err, result) {
+            should(err).not.be.ok();
+            should.deepEqual(result, { found: false });
+            server.getSize(function(sizeErr, size) {
+                should(sizeErr).not.be.ok();
+                should(size).equal(0);
+                return done();
+            });
+        });
+    });
+
+    it("retries if the item is modified concurrently", function(done) {
+        var modified = false;
+        server.addOne(1, { id: 1, count: 1 }, function(err) {
+            should(err).not.be.ok();
+            server.update(1, function(item) {
+                // another writer sneaks in, the first time
+                if (!modified) {
+                    modified = true;
+                    server._store.replaceByScore(server._key, [{ score: 1, value: stringify({ id: 1, count: 10 }) }]);
+                }
+                item.count += 1;
+            }, function(updateErr, result) {
+                should(updateErr).not.be.ok();
+                should.deepEqual(result.item, { id: 1, count: 11 });
+                return done();
+            });
+        });
+    });
+
+    it("fails if several items share the ID", function(done) {
+        server.add([{ id: 1, text: "a" }, { id: 1, text: "b" }], function(err) {
+            should(err).not.be.ok();
+            server.update(1, { text: "c" }, function(updateErr) {
+                should(updateErr).be.an.instanceOf(Error);
+                return done();
+            });
+        });
+    });
+
+    it("fails with InvalidItemError if the item fails to parse", function(done) {
+        server._store.add(server._key, [{ score: 1, value: "not json" }], function(err) {
+            should(err).not.be.ok();
+            server.update(1, { text: "new" }, function(updateErr) {
+                should(updateErr).be.an.instanceOf(errors.InvalidItemError);
+                should(updateErr.id).equal(1);
+                should(updateErr.cause).be.an.instanceOf(SyntaxError);
+                return done();
+            });
+        });
+    });
+});
+
+
+describe("Server#add chunking", function() {
+    it("writes large inputs in chunks, reporting progress", function(done) {
+        var progress = [];
+        server.add(utils.newItems(5), {
+            chunk_size: 2,
+            onProgress: function(event) {
+                progress.push(event);
+            },
+        }, function(err, added) {
+            should(err).not.be.ok();
+            should(added).equal(5);
+            should.deepEqual(_.map(progress, "written"), [2, 4, 5]);
+            should(progress[0].total).equal(5);
+            return done();
+        });
+    });
+
+    it("reports what was written, if a chunk fails", function(done) {
+        var store = new MemoryStore();
+        var add = store.add;
+        var myServer = new Server(store, _.assign({}, config, { chunk_size: 2 }));
+        store.add = function(key, entries, callback) {
+            if (entries[0].score === 3) {
+                return callback(new Error("chunk failed"));
+            }
+            return add.apply(store, arguments);
+        };
+        myServer.add(utils.newItems(5), function(err) {
+            should(err.message).equal("chunk failed");
+            should.deepEqual(err.written, [1, 2, 5]);
+            should.deepEqual(err.failed, [3, 4]);
+            return done();
+        });
+    });
+});
+
+
 describe("Server#removeOne", function() {
+    it("returns a Promise if callback is left out", function() {
+        return server.addOne(435, "item 435").then(function() {
+            return server.removeOne(435);
+        }).then(function() {
+            return server.getSize();
+        }).then(function(size) {
+            should(size).equal(0);
+        });
+    });
+
     it("removes a single item", function(done) {
         var id = 434;
         server.addOne(id, "item 434", function(addErr) {
@@ -301,7 +893,113 @@ describe("Server#removeOne", function() {
 });
 
 
+describe("Server#removeMany", function() {
+    it("removes the items at the IDs", function(done) {
+        server.add(utils.newItems(5), function(err) {
+            should(err).not.be.ok();
+            server.removeMany([1, 3, 404], function(removeErr, removed) {
+                should(removeErr).not.be.ok();
+                should(removed).equal(2);
+                client.get(function(getErr, items) {
+                    should(getErr).not.be.ok();
+                    should.deepEqual(_.map(utils.parse(items), "id"), [2, 4, 5]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("emits 'remove'", function(done) {
+        server.add(utils.newItems(2), function(err) {
+            should(err).not.be.ok();
+            server.once("remove", function(event) {
+                should.deepEqual(event, { ids: [1, 2], removed: 2 });
+                return done();
+            });
+            server.removeMany([1, 2]);
+        });
+    });
+});
+
+
+describe("Server#removeRange", function() {
+    it("removes the items between the IDs (inclusive)", function() {
+        return server.add(utils.newItems(5)).then(function() {
+            return server.removeRange(2, 4);
+        }).then(function(removed) {
+            should(removed).equal(3);
+            return server.getSize();
+        }).then(function(size) {
+            should(size).equal(2);
+        });
+    });
+
+    it("excludes the bounds, if options.fromExclusive and options.toExclusive are set", function(done) {
+        server.add(utils.newItems(5), function(err) {
+            should(err).not.be.ok();
+            server.removeRange(1, 5, { fromExclusive: true, toExclusive: true }, function(removeErr, removed) {
+                should(removeErr).not.be.ok();
+                should(removed).equal(3);
+                return done();
+            });
+        });
+    });
+});
+
+
+describe("Server#removeWhere", function() {
+    it("removes the items matching the predicate, scanning in batches", function(done) {
+        server.add(utils.newItems(9), function(err) {
+            should(err).not.be.ok();
+            server.removeWhere(function(item, id) {
+                should(item.id).equal(id);
+                return id % 2 === 0;
+            }, { batch_size: 2 }, function(removeErr, removed) {
+                should(removeErr).not.be.ok();
+                should(removed).equal(4);
+                client.get(function(getErr, items) {
+                    should(getErr).not.be.ok();
+                    should.deepEqual(_.map(utils.parse(items), "id"), [1, 3, 5, 7, 9]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("passes errors thrown by the predicate", function(done) {
+        server.addOne(1, "item 1", function(err) {
+            should(err).not.be.ok();
+            server.removeWhere(function() {
+                throw new Error("predicate failed");
+            }, function(removeErr) {
+                should(removeErr.message).equal("predicate failed");
+                return done();
+            });
+        });
+    });
+
+    it("rejects infinite batch sizes", function(done) {
+        server.removeWhere(function() {
+            return true;
+        }, { batch_size: Infinity }, function(err) {
+            should(err).be.an.instanceOf(errors.InvalidArgumentError);
+            return done();
+        });
+    });
+});
+
+
 describe("Server#purge", function() {
+    it("returns a Promise if callback is left out", function() {
+        return server.addOne(1, "item 1").then(function() {
+            return server.purge();
+        }).then(function() {
+            return server.getSize();
+        }).then(function(size) {
+            should(size).equal(0);
+        });
+    });
+
     it("empties cache", function(done) {
         server.addOne(1, "item 1", function(err) {
             should(err).not.be.ok();
@@ -316,3 +1014,228 @@ describe("Server#purge", function() {
         });
     });
 });
+
+
+describe("Server#repopulate", function() {
+    var store;
+    var myServer;
+
+    beforeEach(function() {
+        store = new MemoryStore();
+        myServer = new Server(store, config);
+    });
+
+    it("replaces the contents of the cache", function(done) {
+        myServer.add(utils.newItems(3), function(err) {
+            should(err).not.be.ok();
+            myServer.repopulate([{ id: 10 }, { id: 11 }], function(repopulateErr, added) {
+                should(repopulateErr).not.be.ok();
+                should(added).equal(2);
+                store.rangeByRank(config.key, 0, -1, { withScores: true }, function(rangeErr, entries) {
+                    should(rangeErr).not.be.ok();
+                    should.deepEqual(_.map(entries, "score"), [10, 11]);
+                    should.deepEqual(Object.keys(store._sets), [config.key]);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("keeps the old contents readable until the new ones are swapped in", function(done) {
+        var rename = store.rename;
+        store.rename = function() {
+            var args = arguments;
+            store.count(config.key, function(err, size) {
+                should(err).not.be.ok();
+                should(size).equal(3);
+                return rename.apply(store, args);
+            });
+        };
+        myServer.add(utils.newItems(3), function(err) {
+            should(err).not.be.ok();
+            myServer.repopulate([{ id: 10 }], function(repopulateErr) {
+                should(repopulateErr).not.be.ok();
+                myServer.getSize(function(sizeErr, size) {
+                    should(sizeErr).not.be.ok();
+                    should(size).equal(1);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("empties the cache, if no items are passed", function() {
+        return myServer.add(utils.newItems(3)).then(function() {
+            return myServer.repopulate([]);
+        }).then(function() {
+            return myServer.getSize();
+        }).then(function(size) {
+            should(size).equal(0);
+        });
+    });
+
+    it("leaves the cache as is, if writing fails", function(done) {
+        var add = store.add;
+        myServer.add(utils.newItems(3), function(err) {
+            should(err).not.be.ok();
+            store.add = function(key, entries, callback) {
+                return callback(new Error("write failed"));
+            };
+            myServer.repopulate([{ id: 10 }], function(repopulateErr) {
+                should(repopulateErr).be.an.instanceOf(errors.StoreError);
+                store.add = add;
+                should.deepEqual(Object.keys(store._sets), [config.key]);
+                myServer.getSize(function(sizeErr, size) {
+                    should(sizeErr).not.be.ok();
+                    should(size).equal(3);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("leaves the cache as is, and removes the temporary key, if swapping fails", function(done) {
+        myServer.add(utils.newItems(3), function(err) {
+            should(err).not.be.ok();
+            store.rename = function(source, destination, callback) {
+                return callback(new Error("rename failed"));
+            };
+            myServer.repopulate([{ id: 10 }], function(repopulateErr) {
+                should(repopulateErr).be.an.instanceOf(errors.StoreError);
+                should.deepEqual(Object.keys(store._sets), [config.key]);
+                myServer.getSize(function(sizeErr, size) {
+                    should(sizeErr).not.be.ok();
+                    should(size).equal(3);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it("expires the temporary key, until swapped in", function(done) {
+        var expired = [];
+        var expire = store.expire;
+        store.expire = function(key) {
+            expired.push(key);
+            return expire.apply(store, arguments);
+        };
+        myServer.repopulate(utils.newItems(3), { chunk_size: 2 }, function(err) {
+            should(err).not.be.ok();
+            should(expired.length).equal(2);
+            should(expired[0]).startWith(config.key + ":repopulate:");
+            should(store._sets[config.key].expiry).be.undefined();
+            return done();
+        });
+    });
+
+    it("emits 'repopulate', and reduces the cache", function(done) {
+        var emitted = null;
+        myServer.on("repopulate", function(event) {
+            emitted = event;
+        });
+        myServer.once("reduce", function(event) {
+            should(event.after).equal(config.min_size);
+            return done();
+        });
+        myServer.repopulate(utils.newItems(config.max_size), function(err) {
+            should(err).not.be.ok();
+            should.deepEqual(emitted, { key: config.key, added: config.max_size });
+        });
+    });
+
+    it("rejects invalid items", function(done) {
+        myServer.repopulate([{ id: "abc" }], function(err) {
+            should(err).be.an.instanceOf(errors.InvalidIdError);
+            return done();
+        });
+    });
+});
+
+
+describe("Server events", function() {
+    var myServer;
+
+    beforeEach(function() {
+        myServer = new Server(new MemoryStore(), config);
+    });
+
+    it("is an EventEmitter", function() {
+        should(myServer).be.an.instanceOf(EventEmitter);
+    });
+
+    it("emits 'add' after adding items", function(done) {
+        myServer.once("add", function(event) {
+            should.deepEqual(event, { ids: [1, 2], added: 2 });
+            return done();
+        });
+        myServer.add(utils.newItems(2), function(err) {
+            should(err).not.be.ok();
+        });
+    });
+
+    it("emits 'remove' after removing an item", function(done) {
+        myServer.addOne(1, "item 1", function(err) {
+            should(err).not.be.ok();
+            myServer.once("remove", function(event) {
+                should.deepEqual(event, { ids: [1], removed: 1 });
+                return done();
+            });
+            myServer.removeOne(1);
+        });
+    });
+
+    it("emits 'reduce' after reducing the cache", function(done) {
+        myServer.once("reduce", function(event) {
+            should.deepEqual(event, { before: config.max_size, after: config.min_size });
+            return done();
+        });
+        myServer.add(utils.newItems(config.max_size));
+    });
+
+    it("emits 'purge' after purging the cache", function(done) {
+        myServer.once("purge", function(event) {
+            should.deepEqual(event, { key: config.key });
+            return done();
+        });
+        myServer.purge();
+    });
+
+    it("emits 'error' if reducing the cache fails", function(done) {
+        myServer._store.trim = function(key, maxSize, minSize, options, callback) {
+            return callback(new Error("trim failed"));
+        };
+        myServer.once("error", function(err) {
+            should(err.message).equal("trim failed");
+            return done();
+        });
+        myServer.add(utils.newItems(config.max_size), function() {});
+    });
+
+    it("emits 'error' if a call made without a callback fails", function(done) {
+        myServer.once("error", function(err) {
+            should(err).be.an.instanceOf(errors.InvalidIdError);
+            return done();
+        });
+        myServer.addOne("abc", "item abc");
+    });
+
+    it("does not emit 'error' if a call made with a callback fails", function(done) {
+        myServer.once("error", function() {
+            return done(new Error("emitted 'error'"));
+        });
+        myServer.addOne("abc", "item abc", function(err) {
+            should(err).be.an.instanceOf(errors.InvalidIdError);
+            setTimeout(done, 10);
+        });
+    });
+
+    it("does not emit 'error' if there are no listeners", function(done) {
+        myServer._store.trim = function(key, maxSize, minSize, options, callback) {
+            return callback(new Error("trim failed"));
+        };
+        myServer.add(utils.newItems(config.max_size), function(err) {
+            should(err).not.be.ok();
+            return done();
+        });
+    });
+});
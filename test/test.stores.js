@@ -0,0 +1,184 @@
+/**
+ * Testing the datastore adapters
+ */
+
+
+"use strict";
+
+
+// npm-installed modules
+var should = require("should");
+
+
+// own modules
+var errors = require("../lib/errors");
+var Server = require("../lib/server");
+var stores = require("../lib/stores");
+var MemoryStore = require("../lib/stores/memory");
+var RedisStore = require("../lib/stores/redis");
+var utils = require("./utils");
+
+
+// module variables
+var fakeRedisClient = { zadd: function() {} };
+
+
+/**
+ * Return a store implementing the required methods only, backed by
+ * a MemoryStore.
+ */
+function minimalStore() {
+    var memory = new MemoryStore();
+    var store = {};
+    ["add", "count", "rangeByRank", "rangeByScore", "revRangeByScore",
+        "removeRangeByScore", "del"].forEach(function(name) {
+        store[name] = memory[name].bind(memory);
+    });
+    return store;
+}
+
+
+describe("stores module", function() {
+    it("exports the RedisStore", function() {
+        should.strictEqual(stores.RedisStore, RedisStore);
+    });
+
+    it("exports the MemoryStore", function() {
+        should.strictEqual(stores.MemoryStore, MemoryStore);
+    });
+});
+
+
+describe("stores.isStore", function() {
+    it("returns true for stores", function() {
+        should(stores.isStore(new RedisStore(fakeRedisClient))).equal(true);
+        should(stores.isStore(new MemoryStore())).equal(true);
+    });
+
+    it("returns false for anything else", function() {
+        should(stores.isStore(fakeRedisClient)).equal(false);
+        should(stores.isStore(null)).equal(false);
+        should(stores.isStore({ add: function() {} })).equal(false);
+    });
+});
+
+
+describe("stores.resolve", function() {
+    it("returns stores as is", function() {
+        var store = new MemoryStore();
+        should.strictEqual(stores.resolve(store), store);
+    });
+
+    it("wraps a RedisClient in a RedisStore", function() {
+        var store = stores.resolve(fakeRedisClient);
+        should(store).be.an.instanceOf(RedisStore);
+    });
+
+    it("accepts stores implementing the required methods only", function() {
+        var store = minimalStore();
+        should.strictEqual(stores.resolve(store), store);
+    });
+
+    it("throws ConfigurationError, listing the missing methods, for anything else", function() {
+        var store = minimalStore();
+        delete store.count;
+        delete store.del;
+        try {
+            stores.resolve(store);
+        } catch (err) {
+            should(err).be.an.instanceOf(errors.ConfigurationError);
+            should.deepEqual(err.missing, ["count", "del"]);
+            should(err.message).containEql("count, del");
+            return;
+        }
+        throw new Error("expected a ConfigurationError");
+    });
+});
+
+
+describe("stores.missingMethods", function() {
+    it("lists the methods not implemented, including those of guarded stores", function() {
+        should.deepEqual(stores.missingMethods(minimalStore(), ["add", "trim"]), ["trim"]);
+        should.deepEqual(stores.missingMethods(stores.guard(minimalStore()), ["add", "trim"]), ["trim"]);
+        should.deepEqual(stores.missingMethods(stores.guard(new MemoryStore()), ["add", "trim"]), []);
+    });
+});
+
+
+describe("stores.guard", function() {
+    it("fails optional methods not implemented, with a ConfigurationError", function(done) {
+        var store = stores.guard(minimalStore());
+        store.rename("a", "b", function(err) {
+            should(err).be.an.instanceOf(errors.ConfigurationError);
+            should(err.method).equal("rename");
+            return done();
+        });
+    });
+
+    it("lets the Server use a store implementing the required methods only", function(done) {
+        var server = new Server(minimalStore(), { max_size: +Infinity });
+        server.addOne(1, { id: 1 }, function(err, added) {
+            should(err).not.be.ok();
+            should(added).equal(1);
+            return done();
+        });
+    });
+
+    it("throws if the Server is configured with features the store does not implement", function() {
+        should.throws(function() {
+            return new Server(minimalStore(), { max_size: 10 });
+        }, function(err) {
+            should(err).be.an.instanceOf(errors.ConfigurationError);
+            should.deepEqual(err.missing, ["trim"]);
+            return true;
+        });
+        var server = new Server(minimalStore(), { max_size: +Infinity });
+        should.throws(function() {
+            server.reconfigure({ uniqueIds: true, max_bytes: 1024 });
+        }, function(err) {
+            should.deepEqual(err.missing, ["trimBytes", "replaceByScore"]);
+            return true;
+        });
+    });
+});
+
+
+(utils.usingRedis() ? describe : describe.skip)("RedisStore", function() {
+    var store;
+    var key = "test:RedisStore";
+
+    before(function() {
+        store = new RedisStore(utils.getRedisClient());
+    });
+
+    beforeEach(function(done) {
+        store.del(key, done);
+    });
+
+    after(function(done) {
+        store.del(key, done);
+    });
+
+    it("adds and counts members", function(done) {
+        store.add(key, [{ score: 1, value: "a" }, { score: 2, value: "b" }], function(err) {
+            should(err).not.be.ok();
+            store.count(key, function(countErr, count) {
+                should(countErr).not.be.ok();
+                should(count).equal(2);
+                return done();
+            });
+        });
+    });
+
+    it("limits ranges by score", function(done) {
+        var entries = [{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }];
+        store.add(key, entries, function(err) {
+            should(err).not.be.ok();
+            store.revRangeByScore(key, +Infinity, -Infinity, { offset: 0, count: 2 }, function(rangeErr, values) {
+                should(rangeErr).not.be.ok();
+                should.deepEqual(values, ["c", "b"]);
+                return done();
+            });
+        });
+    });
+});
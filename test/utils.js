@@ -11,6 +11,8 @@ exports = module.exports = {
     getCacheServer: getCacheServer,
     getRedisClient: getRedisClient,
     getSource: getSource,
+    getStore: getStore,
+    usingRedis: usingRedis,
     newItems: newItems,
     parse: parse,
 };
@@ -26,12 +28,16 @@ var redis = require("redis");
 
 // own modules
 var Client = require("../lib/client");
+var MemoryStore = require("../lib/stores/memory");
 var Server = require("../lib/server");
 
 
 // module variables
 var redisClient;
+var memoryStore;
 var redisPort = process.env.REDIS_PORT || 6379;
+// set ${SS_INTERFACE_STORE} to 'memory' to run tests without Redis
+var storeType = process.env.SS_INTERFACE_STORE || "redis";
 
 
 /**
@@ -45,11 +51,34 @@ function getRedisClient() {
 }
 
 
+/**
+ * Return `true` if tests are being run against Redis
+ */
+function usingRedis() {
+    return storeType === "redis";
+}
+
+
+/**
+ * Return the store to run the tests against. This is either a
+ * redis client or a shared memory store.
+ */
+function getStore() {
+    if (usingRedis()) {
+        return getRedisClient();
+    }
+    if (!memoryStore) {
+        memoryStore = new MemoryStore();
+    }
+    return memoryStore;
+}
+
+
 /**
  * Simple client
  */
 function getCacheClient(config) {
-    return new Client(getRedisClient(), config);
+    return new Client(getStore(), config);
 }
 
 
@@ -57,7 +86,7 @@ function getCacheClient(config) {
  * Simple server
  */
 function getCacheServer(config) {
-    return new Server(getRedisClient(), config);
+    return new Server(getStore(), config);
 }
 
 /**